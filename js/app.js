@@ -7,15 +7,35 @@
 const APP_CONFIG = {
     // アセット設定
     backgroundImage: 'assets/bg.png',
-    maskImage: 'assets/mask.png',
+    maskImage: 'assets/mask.png', // 画像のURL、またはベクター定義 { width, height, shapes }（README 参照）
     
     // 花火設定
     fireworkSize: 2, // 0-4 のサイズ
     quality: 'normal', // 'low', 'normal', 'high'
+    adaptiveQuality: true, // フレーム時間に応じて描画負荷を段階的に自動調整
+    maxStars: 3000, // 同時に存在できる星の数の上限（null なら無制限）
+    maxSparks: 10000, // 同時に存在できる火花の数の上限（null なら無制限）
+    maxSmoke: 400, // 同時に存在できる煙の数の上限（null なら無制限）
+    smokeDensity: 1, // 爆発後に漂う煙の量の倍率（0 で煙なし）
+    physics: null, // 重力・空気抵抗・風（例: { wind: { direction: 10, strength: 0.8, gust: 0.5 } }）、null なら既定値
+    launch: true, // 打ち上げ（コメット）フェーズを表示
+    launchOrigin: null, // 打ち上げ地点 { x, y }（0-1 の比率）、null なら瞳マスクの下端
+    shellTypes: null, // ランダムに使う花火タイプ名（例: ['crysanthemum', 'willow']）、null なら全タイプ
+    seed: null, // 乱数シード（数値または文字列）、指定すると同じ入力で同じ花火を再現
+    maskRegions: null, // マスクの名前付き領域（例: { mode: 'components', names: ['leftEye', 'rightEye'] }）
+    maskFeather: 0, // マスク境界のぼかし半径(px)
+    maskSpawnWeighting: 1, // 発生位置をマスクの濃さで重み付け（0 で均等、大きいほど中心に集中）
+    maskIris: null, // 虹彩リングの減光（例: { inner: 0.6, outer: 1.0, opacity: 0.5 }）
+    lightSources: null, // 顔グローの光源位置 [{ x, y }]（0-1 の比率）、null ならマスクの重心
+    lightMap: null, // 法線マップ・高さマップ（例: { image: 'assets/face-normal.png', type: 'normal' }）、顔の凹凸に沿って光が回り込む
+    palette: null, // ランダムに使う色（例: 'sakura'、['Gold', '#ffb7c5', 'hsl(280, 70%, 65%)']）、null なら組み込みの6色
+    scene: null, // 起動時のシーン（scenes/<name>.json、URL の ?scene=summer でも指定可）
+    targetRegion: null, // 花火を出す領域名、null ならマスク全体
+    mirrorRegions: null, // 左右反転して同じ花火を出す領域の組（例: ['leftEye', 'rightEye']）
     
     // レンダリング設定
     blendMode: 'screen', // 'screen', 'lighter', 'multiply', 'overlay'
-    targetFPS: 30, // 30FPS目標に変更
+    targetFPS: 30, // 描画レート上限（物理演算は120Hz固定ステップ）
     
     // デバッグ設定
     debug: true // デバッグモードを有効化
@@ -45,6 +65,12 @@ async function initializeApp() {
             throw new Error('Your browser does not support the required features for this application.');
         }
         
+        // URL の ?scene=<name> で起動時のシーンを指定
+        const sceneParam = new URLSearchParams(window.location.search).get('scene');
+        if (sceneParam) {
+            APP_CONFIG.scene = sceneParam;
+        }
+        
         // アプリケーション作成
         app = new PupilFireworksApp(APP_CONFIG);
         
@@ -164,8 +190,12 @@ function setupDebugInfo() {
             debugPanel.innerHTML = `
                 <div>FPS: ${debugInfo.fps}</div>
                 <div>Running: ${debugInfo.isRunning}</div>
+                <div>Quality: ${debugInfo.quality}</div>
+                <div>Scene: ${debugInfo.scene || '-'}</div>
+                <div>Perf step: ${debugInfo.performanceStep}</div>
                 <div>Stars: ${debugInfo.starCount}</div>
                 <div>Sparks: ${debugInfo.sparkCount}</div>
+                <div>Smoke: ${debugInfo.smokeCount}</div>
                 <div>Canvas: ${debugInfo.canvasSize.width}x${debugInfo.canvasSize.height}</div>
             `;
         }
@@ -373,6 +403,13 @@ window.appDebug = {
         if (app) {
             app.updateConfig(newConfig);
         }
+    },
+    // シーンの切り替え（名前、URL、またはマニフェストのオブジェクト）
+    loadScene: (scene) => {
+        if (!app) {
+            return Promise.reject(new Error('App not initialized'));
+        }
+        return app.loadScene(scene);
     }
 };
 
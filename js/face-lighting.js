@@ -0,0 +1,151 @@
+/**
+ * FaceLighting - 花火の光で顔を照らすライティング
+ * 光源（位置・半径・色・強さ）をまとめて縮小バッファに1回のパスで合成し、トレイルキャンバスへ重ねる
+ * 法線マップまたは高さマップがあれば、光の来る向きに応じて顔の凹凸に沿った陰影を付ける
+ */
+
+const FACE_LIGHTING_SCALE = 8; // 光のバッファの縮小率（光はなめらかに変化するので低解像度で十分）
+const FACE_LIGHTING_MAX_ALPHA = 0.7; // 重ねる光の最大不透明度
+const FACE_LIGHTING_WRAP = 0.3; // 光源に背を向けた面にも回り込む光の割合（法線マップ使用時）
+
+class FaceLighting {
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.imageData = null;
+        this.width = 0; // 表示サイズ
+        this.height = 0;
+
+        // 法線（バッファの画素ごとに nx, ny, nz、法線マップがなければ null）
+        this.lightMap = null;
+        this.normals = null;
+    }
+
+    // 表示サイズに合わせてバッファを作り直す
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.canvas.width = Math.max(1, Math.ceil(width / FACE_LIGHTING_SCALE));
+        this.canvas.height = Math.max(1, Math.ceil(height / FACE_LIGHTING_SCALE));
+        this.imageData = this.ctx.createImageData(this.canvas.width, this.canvas.height);
+        this.normals = this.lightMap ? this.buildNormals(this.lightMap) : null;
+    }
+
+    /**
+     * 法線マップ・高さマップを設定（null で解除）
+     * lightMap: { image, type: 'normal' | 'height', strength }
+     *   normal: RGB に法線（OpenGL 形式：緑が上向き）、height: 明るいほど手前に出ている
+     *   strength: 高さマップの凹凸の強さ（既定 1）
+     */
+    setLightMap(lightMap) {
+        FaceLighting.validateLightMap(lightMap);
+        this.lightMap = lightMap || null;
+        this.normals = this.lightMap && this.imageData ? this.buildNormals(this.lightMap) : null;
+    }
+
+    // 種類の確認（画像の読み込み前にシーンの設定を検証できるよう static）
+    static validateLightMap(lightMap) {
+        if (lightMap && lightMap.type !== 'normal' && lightMap.type !== 'height') {
+            throw new Error(`Unknown light map type: ${lightMap.type} (use 'normal' or 'height')`);
+        }
+    }
+    
+    // マップをバッファの解像度に縮小して法線を求める（背景画像と同じ範囲に引き伸ばす）
+    buildNormals({ image, type, strength = 1 }) {
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const ctx = document.createElement('canvas').getContext('2d');
+        ctx.canvas.width = w;
+        ctx.canvas.height = h;
+        ctx.drawImage(image, 0, 0, w, h);
+        const pixels = ctx.getImageData(0, 0, w, h).data;
+
+        const normals = new Float32Array(w * h * 3);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const i = y * w + x;
+                let nx, ny, nz;
+                if (type === 'normal') {
+                    nx = pixels[i * 4] / 127.5 - 1;
+                    ny = 1 - pixels[i * 4 + 1] / 127.5; // キャンバスは下向きが +y
+                    nz = pixels[i * 4 + 2] / 127.5 - 1;
+                } else {
+                    // 高さの勾配から法線を作る（端は隣の画素で代用）
+                    const height = (px, py) => pixels[(Math.min(h - 1, Math.max(0, py)) * w + Math.min(w - 1, Math.max(0, px))) * 4] / 255;
+                    nx = (height(x - 1, y) - height(x + 1, y)) * strength * FACE_LIGHTING_SCALE;
+                    ny = (height(x, y - 1) - height(x, y + 1)) * strength * FACE_LIGHTING_SCALE;
+                    nz = 1;
+                }
+                const length = Math.hypot(nx, ny, nz) || 1;
+                normals[i * 3] = nx / length;
+                normals[i * 3 + 1] = ny / length;
+                normals[i * 3 + 2] = nz / length;
+            }
+        }
+        return normals;
+    }
+
+    /**
+     * すべての光源をバッファに合成し、1回の描画で ctx に重ねる
+     * lights: [{ x, y, radius, intensity, r, g, b }]（座標は表示サイズ、intensity は 0-1 程度）
+     *   距離 radius で強さが半分になる減衰、法線マップがあれば光源の高さ radius/2 として陰影を付ける
+     */
+    render(ctx, lights, compositeOperation = 'overlay') {
+        if (!this.imageData || lights.length === 0) return;
+
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const data = this.imageData.data;
+        const normals = this.normals;
+        const scaleX = this.width / w;
+        const scaleY = this.height / h;
+
+        for (let y = 0; y < h; y++) {
+            const worldY = (y + 0.5) * scaleY;
+            for (let x = 0; x < w; x++) {
+                const worldX = (x + 0.5) * scaleX;
+                const i = y * w + x;
+                let r = 0, g = 0, b = 0, total = 0;
+
+                for (let j = 0; j < lights.length; j++) {
+                    const light = lights[j];
+                    const dx = light.x - worldX;
+                    const dy = light.y - worldY;
+                    const distSq = dx * dx + dy * dy;
+                    let amount = light.intensity / (1 + distSq / (light.radius * light.radius));
+
+                    if (normals) {
+                        const dz = light.radius * 0.5;
+                        const dot = (normals[i * 3] * dx + normals[i * 3 + 1] * dy + normals[i * 3 + 2] * dz) /
+                            Math.sqrt(distSq + dz * dz);
+                        amount *= FACE_LIGHTING_WRAP + (1 - FACE_LIGHTING_WRAP) * Math.max(0, dot);
+                    }
+
+                    r += light.r * amount;
+                    g += light.g * amount;
+                    b += light.b * amount;
+                    total += amount;
+                }
+
+                // 色は光の強さで重み付けした平均、不透明度は光の強さの合計
+                const p = i * 4;
+                if (total > 0) {
+                    data[p] = r / total;
+                    data[p + 1] = g / total;
+                    data[p + 2] = b / total;
+                    data[p + 3] = Math.min(FACE_LIGHTING_MAX_ALPHA, total * FACE_LIGHTING_MAX_ALPHA) * 255;
+                } else {
+                    data[p + 3] = 0;
+                }
+            }
+        }
+
+        this.ctx.putImageData(this.imageData, 0, 0);
+
+        ctx.save();
+        ctx.globalCompositeOperation = compositeOperation;
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.canvas, 0, 0, this.width, this.height);
+        ctx.restore();
+    }
+}
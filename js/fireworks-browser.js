@@ -0,0 +1,61 @@
+/**
+ * Fireworks Browser Adapter - FireworksCore をブラウザ環境に接続
+ * テキスト・画像の形状バースト用のラスタライザと、CSS の色名を解決するリゾルバを登録し、window に公開する
+ */
+
+const canvasShapeRasterizer = {
+    rasterizeText(text, font) {
+        const measureCtx = document.createElement('canvas').getContext('2d');
+        measureCtx.font = font;
+        const metrics = measureCtx.measureText(text);
+        const ascent = metrics.actualBoundingBoxAscent || 64;
+        const descent = metrics.actualBoundingBoxDescent || 16;
+        const width = Math.ceil(metrics.width) + 8;
+        const height = Math.ceil(ascent + descent) + 8;
+        
+        return this.render(width, height, ctx => {
+            ctx.font = font;
+            ctx.textBaseline = 'alphabetic';
+            ctx.fillStyle = '#fff';
+            ctx.fillText(text, 4, height - 4 - descent);
+        });
+    },
+    
+    rasterizeImage(image, maxSize) {
+        const scale = maxSize / Math.max(image.width, image.height);
+        const width = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+        
+        return this.render(width, height, ctx => {
+            ctx.drawImage(image, 0, 0, width, height);
+        });
+    },
+    
+    // 一時キャンバスに描画してピクセルを取得
+    render(width, height, draw) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        draw(ctx);
+        return ctx.getImageData(0, 0, width, height);
+    }
+};
+
+FireworksCore.setShapeRasterizer(canvasShapeRasterizer);
+
+// CSS の色名などをキャンバスに正規化させる（'pink' → '#ffc0cb'、無効な色は null）
+let colorResolverContext = null;
+FireworksCore.setColorResolver(color => {
+    if (!colorResolverContext) {
+        colorResolverContext = document.createElement('canvas').getContext('2d');
+    }
+    // 無効な色の代入は無視されるので、ありえない値を先に入れておいて判定する
+    colorResolverContext.fillStyle = '#010203';
+    colorResolverContext.fillStyle = color;
+    const resolved = colorResolverContext.fillStyle;
+    return resolved === '#010203' ? null : resolved;
+});
+
+// グローバルに公開
+window.FireworksCore = FireworksCore;
@@ -1,6 +1,7 @@
 /**
  * Fireworks Core System - 既存システムの高度な物理演算を移植
- * Star, Spark, Shell, BurstFlash システムとオブジェクトプール
+ * Star, Spark, Shell, BurstFlash, Smoke システムとオブジェクトプール
+ * DOM・キャンバスに依存しないため Node 上でもそのまま動作する
  * 
  * Based on firework-simulator-v2
  * Original work: Copyright (c) 2025 Caleb Miller (https://codepen.io/MillerTime/pen/XgpNwb)
@@ -8,9 +9,111 @@
  */
 
 // 定数定義
-const GRAVITY = 0.9;
 const PI_2 = Math.PI * 2;
 const PI_HALF = Math.PI * 0.5;
+const BASE_FRAME_TIME = 1000 / 30; // speed = 1 に相当するフレーム時間（30FPS基準）
+const PHYSICS_RATE = 120; // 物理演算の固定ステップ数（Hz）
+const MAX_FRAME_TIME = 100; // 1回の advance で消化する最大時間(ms)、処理落ち時の暴走防止
+
+/**
+ * 物理パラメータの既定値（world.physics、world.setPhysics で一部だけ変更できる）
+ *   gravity: 重力加速度
+ *   drag: 30FPS基準1フレームあたりに残る速度の割合（star: 星、starHeavy: 重い星・コメット、spark: 火花、smoke: 煙）
+ *     風に対する相対速度にかかるので、抵抗の大きい（値の小さい）ものほど風に流されやすい
+ *   wind.direction: 風向き（度、0 で右向き、90 で下向き）/ wind.strength: 風速（30FPS基準1フレームあたりの移動量）
+ *   wind.gust: 突風による風速の揺らぎの割合（0〜1）/ wind.gustPeriod: 突風の周期(ms)
+ */
+const DEFAULT_PHYSICS = {
+    gravity: 0.9,
+    drag: { star: 0.98, starHeavy: 0.992, spark: 0.9, smoke: 0.96 },
+    wind: { direction: 0, strength: 0, gust: 0, gustPeriod: 6000 }
+};
+
+// 既定値に部分的な指定を重ねた物理パラメータ（drag・wind は項目ごとに上書き）
+function mergePhysics(base, overrides) {
+    overrides = overrides || {};
+    return {
+        gravity: overrides.gravity !== undefined ? overrides.gravity : base.gravity,
+        drag: { ...base.drag, ...overrides.drag },
+        wind: { ...base.wind, ...overrides.wind }
+    };
+}
+
+// 突風の揺らぎ（周期の異なる2つの波を重ねた 0〜1、シミュレーション時間で決まるので再現可能）
+function gustFactor(time, period) {
+    const t = time / period * PI_2;
+    return (Math.sin(t) * 0.6 + Math.sin(t * 2.7 + 1.3) * 0.4 + 1) / 2;
+}
+
+// 現在の風のベクトルを world.wind に書き込む
+function updateWind(world) {
+    const { direction, strength, gust, gustPeriod } = world.physics.wind;
+    const current = strength * (1 + gust * (gustFactor(world.time, gustPeriod) * 2 - 1));
+    const angle = direction * Math.PI / 180;
+    world.wind.x = Math.cos(angle) * current;
+    world.wind.y = Math.sin(angle) * current;
+}
+
+// 空気抵抗（風に対する相対速度を減衰させる、奥のものほど風もゆっくりに見える）
+function applyDrag(particle, drag, wind) {
+    const windX = wind.x * particle.depthScale;
+    const windY = wind.y * particle.depthScale;
+    particle.speedX = windX + (particle.speedX - windX) * drag;
+    particle.speedY = windY + (particle.speedY - windY) * drag;
+}
+
+/**
+ * 奥行きの共通設定（z: 0 が手前、1 が奥）
+ *   distance: カメラからの距離、見かけの大きさ・速さ・重力は距離に反比例（z = default で等倍）
+ *   brightness / blur: 明るさ・擬似的なぼかしの幅(px)（near〜far を線形補間、ぼかしの負の値は 0 = 手前〜中間はぼかさない）
+ *   spread / rise: 連射時にタップ位置から散らす半径・上にずらす量(px)（奥ほど広く、高い位置に見える）
+ *   layers: 深度レイヤー名（createFirework の options.depth）に対応する z
+ *   buckets: 描画時に奥行きでまとめる段階数（奇数にすると default の z がちょうど段階の中央になる）
+ */
+const DEPTH = {
+    default: 0.5,
+    distance: { near: 2, far: 4 },
+    brightness: { near: 1.1, far: 0.5 },
+    blur: { near: -1.5, far: 1.5 },
+    spread: { near: 80, far: 200 },
+    rise: { near: 0, far: 80 },
+    layers: { foreground: 0.1, middle: 0.5, background: 0.9 },
+    buckets: 9
+};
+
+// near〜far の範囲を z で線形補間
+function lerpDepth(range, z) {
+    return range.near + (range.far - range.near) * z;
+}
+
+// z の見かけの大きさ・速さの倍率
+function getDepthScale(z) {
+    return lerpDepth(DEPTH.distance, DEPTH.default) / lerpDepth(DEPTH.distance, z);
+}
+
+// z の見え方（大きさ・速さの倍率、明るさ、ぼかしの幅）
+function getDepthProfile(z) {
+    return {
+        z,
+        scale: getDepthScale(z),
+        brightness: lerpDepth(DEPTH.brightness, z),
+        blur: Math.max(0, lerpDepth(DEPTH.blur, z))
+    };
+}
+
+// 奥行きの指定（z の数値または DEPTH.layers の名前）→ 0〜1 の z
+function resolveDepth(depth) {
+    if (typeof depth === 'number') {
+        return Math.max(0, Math.min(1, depth));
+    }
+    if (depth === undefined || depth === null) {
+        return DEPTH.default;
+    }
+    if (DEPTH.layers[depth] === undefined) {
+        throw new Error(`Unknown depth: ${depth} (use 0-1 or ${Object.keys(DEPTH.layers).join(', ')})`);
+    }
+    return DEPTH.layers[depth];
+}
 
 const COLOR = {
     Red: '#ff0043',
@@ -21,6 +124,27 @@ const COLOR = {
     White: '#ffffff'
 };
 
+// シード付き擬似乱数生成器（mulberry32）、文字列シードはハッシュ化して使用
+function createSeededRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+    return function () {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a ハッシュ
+function hashSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
 // 特殊な非表示色
 const INVISIBLE = '_INVISIBLE_';
 
@@ -39,18 +163,48 @@ COLOR_CODES.forEach(hex => {
     };
 });
 
-// 美しい色バリエーション生成システム
-function generateColorVariation(baseColor, variation = 0.15) {
-    const rgb = COLOR_TUPLES[baseColor];
+// 名前付きパレット（world.setPalette に名前で指定できる）
+const PALETTES = {
+    classic: COLOR_CODES,
+    pastel: ['#ffb3c6', '#bde0fe', '#caffbf', '#fdffb6', '#e2c2ff', '#ffd6a5'],
+    sakura: ['#ffb7c5', '#ff8fab', '#fb6f92', '#ffe5ec', '#ffffff'],
+    monochromeGold: ['#ffbf36', '#ffd878', '#fff1c1', '#e0a526']
+};
+
+// パレットの指定（setPalette の colors）→ カラーコードの配列、未知のパレット名・色は例外
+function resolvePalette(colors) {
+    if (!colors || !colors.length) {
+        return COLOR_CODES;
+    }
+    
+    if (typeof colors === 'string') {
+        if (!PALETTES[colors]) {
+            throw new Error(`Unknown palette: ${colors} (available: ${Object.keys(PALETTES).join(', ')})`);
+        }
+        return PALETTES[colors];
+    }
+    
+    return colors.map(color => {
+        const code = COLOR[color] || color;
+        if (!parseRgbColor(code)) {
+            throw new Error(`Unknown palette color: ${color} (use a COLOR name or CSS color)`);
+        }
+        return code;
+    });
+}
+
+// 美しい色バリエーション生成システム（rng: 乱数源、ワールドから渡される）
+function generateColorVariation(baseColor, variation = 0.15, rng = Math.random) {
+    const rgb = parseRgbColor(baseColor);
     if (!rgb) return baseColor;
     
     // HSLに変換して色相・彩度・明度を微調整
     const { h, s, l } = rgbToHsl(rgb.r, rgb.g, rgb.b);
     
     // 微妙な変化を加える
-    const newH = (h + (Math.random() - 0.5) * variation * 60) % 360; // 色相±変化
-    const newS = Math.max(0, Math.min(1, s + (Math.random() - 0.5) * variation * 0.3)); // 彩度調整
-    const newL = Math.max(0.1, Math.min(0.9, l + (Math.random() - 0.5) * variation * 0.2)); // 明度調整
+    const newH = (h + (rng() - 0.5) * variation * 60) % 360; // 色相±変化
+    const newS = Math.max(0, Math.min(1, s + (rng() - 0.5) * variation * 0.3)); // 彩度調整
+    const newL = Math.max(0.1, Math.min(0.9, l + (rng() - 0.5) * variation * 0.2)); // 明度調整
     
     const newRgb = hslToRgb(newH / 360, newS, newL);
     return `rgb(${Math.round(newRgb.r)}, ${Math.round(newRgb.g)}, ${Math.round(newRgb.b)})`;
@@ -101,17 +255,17 @@ function hslToRgb(h, s, l) {
 }
 
 // 炎の内外グラデーション色生成
-function generateFlameGradient(baseColor, intensity = 1.0) {
+function generateFlameGradient(baseColor, intensity = 1.0, rng = Math.random) {
     // 内炎（中心）: より白く、より熱く
     const innerColor = generateInnerFlameColor(baseColor, intensity);
     // 外炎（外側）: 基本色をベースにした美しい色調
-    const outerColor = generateColorVariation(baseColor, 0.1);
+    const outerColor = generateColorVariation(baseColor, 0.1, rng);
     
     return { inner: innerColor, outer: outerColor };
 }
 
 function generateInnerFlameColor(baseColor, intensity) {
-    const rgb = COLOR_TUPLES[baseColor];
+    const rgb = parseRgbColor(baseColor);
     if (!rgb) return '#ffffff';
     
     // 白との混合で熱い中心を表現
@@ -160,56 +314,91 @@ function interpolateColors(color1, color2, t) {
     return `rgb(${r}, ${g}, ${b})`;
 }
 
-function parseRgbColor(color) {
-    if (color.startsWith('#')) {
-        return COLOR_TUPLES[color];
-    } else if (color.startsWith('rgb(')) {
-        const match = color.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
-        if (match) {
-            return {
-                r: parseInt(match[1]),
-                g: parseInt(match[2]),
-                b: parseInt(match[3])
-            };
-        }
-    }
-    return null;
-}
+// CSS の色名などコアで解析できない色を '#rrggbb' や 'rgb()' に変換する関数（外部から登録）
+// ブラウザでは fireworks-browser.js がキャンバスを使った実装を登録する
+let colorResolver = null;
 
-// ランダム色選択
-function randomColorSimple() {
-    return COLOR_CODES[Math.random() * COLOR_CODES.length | 0];
+// 16進・hsl・色名の解析結果（rgb() は毎フレーム大量に生成されるためキャッシュしない）
+const colorTupleCache = new Map(Object.entries(COLOR_TUPLES));
+
+function setColorResolver(resolver) {
+    colorResolver = resolver;
+    colorTupleCache.clear();
+    Object.entries(COLOR_TUPLES).forEach(([hex, rgb]) => colorTupleCache.set(hex, rgb));
 }
 
-let lastColor;
-function randomColor(options = {}) {
-    const notSame = options.notSame;
-    const notColor = options.notColor;
-    const limitWhite = options.limitWhite;
-    let color = randomColorSimple();
+// 任意の CSS の色 → { r, g, b }（アルファは無視、解析できなければ null）
+//   '#f04' / '#ff0043' / '#ff0043cc' / 'rgb(255, 0, 67)' / 'rgba(255 0 67 / 50%)' / 'hsl(340, 100%, 50%)' / 'pink'
+function parseRgbColor(color) {
+    if (typeof color !== 'string' || color === INVISIBLE) return null;
     
-    // 白の選択頻度を制限
-    if (limitWhite && color === COLOR.White && Math.random() < 0.6) {
-        color = randomColorSimple();
+    const text = color.trim().toLowerCase();
+    if (text.startsWith('rgb')) {
+        return parseFunctionalRgb(text);
     }
     
-    if (notSame) {
-        while (color === lastColor) {
-            color = randomColorSimple();
-        }
+    if (colorTupleCache.has(color)) {
+        return colorTupleCache.get(color);
     }
     
-    if (notColor) {
-        while (color === notColor) {
-            color = randomColorSimple();
-        }
+    let rgb = null;
+    if (text.startsWith('#')) {
+        rgb = parseHexColor(text);
+    } else if (text.startsWith('hsl')) {
+        rgb = parseFunctionalHsl(text);
+    } else if (colorResolver) {
+        const resolved = colorResolver(color);
+        rgb = resolved && resolved !== color ? parseRgbColor(resolved) : null;
+    }
+    
+    colorTupleCache.set(color, rgb);
+    return rgb;
+}
+
+function parseHexColor(text) {
+    let hex = text.slice(1);
+    if (hex.length === 3 || hex.length === 4) {
+        hex = hex.split('').map(digit => digit + digit).join('');
     }
+    if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/.test(hex)) return null;
     
-    lastColor = color;
-    return color;
+    return {
+        r: parseInt(hex.substr(0, 2), 16),
+        g: parseInt(hex.substr(2, 2), 16),
+        b: parseInt(hex.substr(4, 2), 16)
+    };
 }
 
-// パーティクルコレクション作成ヘルパー
+function parseFunctionalRgb(text) {
+    const match = text.match(/^rgba?\(\s*([\d.]+%?)[\s,]+([\d.]+%?)[\s,]+([\d.]+%?)/);
+    if (!match) return null;
+    
+    const channel = value => {
+        const number = parseFloat(value);
+        return Math.round(Math.max(0, Math.min(255, value.endsWith('%') ? number * 2.55 : number)));
+    };
+    return { r: channel(match[1]), g: channel(match[2]), b: channel(match[3]) };
+}
+
+function parseFunctionalHsl(text) {
+    const match = text.match(/^hsla?\(\s*(-?[\d.]+)(deg|turn|rad)?[\s,]+([\d.]+)%[\s,]+([\d.]+)%/);
+    if (!match) return null;
+    
+    let hue = parseFloat(match[1]);
+    if (match[2] === 'turn') hue *= 360;
+    if (match[2] === 'rad') hue *= 180 / Math.PI;
+    hue = ((hue % 360) + 360) % 360;
+    
+    const rgb = hslToRgb(hue / 360, Math.min(1, parseFloat(match[3]) / 100), Math.min(1, parseFloat(match[4]) / 100));
+    return { r: Math.round(rgb.r), g: Math.round(rgb.g), b: Math.round(rgb.b) };
+}
+
+// ランダム色選択
+function randomColorSimple(rng, colors = COLOR_CODES) {
+    return colors[rng() * colors.length | 0];
+}
+
+// パーティクルコレクション作成ヘルパー（組み込みの色以外のバケットは getBucket で必要時に作成）
 function createParticleCollection() {
     const collection = {};
     COLOR_CODES_W_INVIS.forEach(color => {
@@ -218,177 +407,291 @@ function createParticleCollection() {
     return collection;
 }
 
-// Star（メインパーティクル）システム
-const Star = {
-    // 描画プロパティ
-    drawWidth: 3,
-    airDrag: 0.98,
-    airDragHeavy: 0.992,
-    
-    // アクティブなパーティクル（色別）
-    active: createParticleCollection(),
-    _pool: [],
-    
-    _new() {
-        return {};
-    },
+// 色別バケットを取得（初めての色ならその場で作成）
+function getBucket(collection, color) {
+    return collection[color] || (collection[color] = []);
+}
 
-    add(x, y, color, angle, speed, life, speedOffX, speedOffY, sourceShell) {
-        const instance = this._pool.pop() || this._new();
-        
-        instance.visible = true;
-        instance.heavy = false;
-        instance.x = x;
-        instance.y = y;
-        instance.prevX = x;
-        instance.prevY = y;
-        instance.color = color;
-        instance.speedX = Math.sin(angle) * speed + (speedOffX || 0);
-        instance.speedY = Math.cos(angle) * speed + (speedOffY || 0);
-        instance.life = life;
-        instance.fullLife = life;
-        instance.spinAngle = Math.random() * PI_2;
-        instance.spinSpeed = 0.8;
-        instance.spinRadius = 0;
-        instance.sparkFreq = 0;
-        instance.sparkSpeed = 1;
-        instance.sparkTimer = 0;
-        instance.sparkColor = color;
-        instance.sparkLife = 750;
-        instance.sparkLifeVariation = 0.25;
-        instance.strobe = false;
-        
-        // 美しい色バリエーション生成
-        instance.baseColor = color;
-        instance.colorVariation = generateColorVariation(color, 0.12);
-        instance.flameGradient = generateFlameGradient(color, 1.0);
-        
-        // 動的色変化用の初期設定
-        instance.colorEvolution = {
-            startColor: generateColorVariation(color, 0.05),
-            midColor: generateColorVariation(color, 0.08),
-            endColor: generateInnerFlameColor(color, 0.9) // 最終的により白く
-        };
+// Star（メインパーティクル）システム（ワールドごとに作成）
+function createStarSystem(world) {
+    return {
+        // 描画プロパティ
+        drawWidth: 3,
         
-        // 深度情報の伝播
-        if (sourceShell) {
-            instance.depthLayer = sourceShell.depthLayer;
-            instance.intensityMultiplier = sourceShell.intensityMultiplier;
-        }
+        // アクティブなパーティクル（色別）
+        active: createParticleCollection(),
+        _pool: [],
         
-        this.active[color].push(instance);
-        return instance;
-    },
+        // アクティブ数と上限（上限に達すると add は null を返す）
+        count: 0,
+        limit: Infinity,
+        
+        _new() {
+            return {};
+        },
 
-    returnInstance(instance) {
-        // onDeathハンドラーの実行
-        instance.onDeath && instance.onDeath(instance);
+        add(x, y, color, angle, speed, life, speedOffX, speedOffY, sourceShell) {
+            if (this.count >= this.limit) return null;
+            this.count++;
+            
+            const instance = this._pool.pop() || this._new();
+            
+            // 奥行きの伝播（発生源の z を引き継ぎ、放射方向の速さを遠近に合わせる）
+            instance.z = sourceShell ? sourceShell.z : DEPTH.default;
+            instance.depthScale = getDepthScale(instance.z);
+            speed *= instance.depthScale;
+            
+            instance.visible = true;
+            instance.heavy = false;
+            instance.x = x;
+            instance.y = y;
+            instance.prevX = x;
+            instance.prevY = y;
+            instance.color = color;
+            instance.speedX = Math.sin(angle) * speed + (speedOffX || 0);
+            instance.speedY = Math.cos(angle) * speed + (speedOffY || 0);
+            instance.life = life;
+            instance.fullLife = life;
+            instance.spinAngle = world.random() * PI_2;
+            instance.spinSpeed = 0.8;
+            instance.spinRadius = 0;
+            instance.sparkFreq = 0;
+            instance.sparkSpeed = 1;
+            instance.sparkTimer = 0;
+            instance.sparkColor = color;
+            instance.sparkLife = 750;
+            instance.sparkLifeVariation = 0.25;
+            instance.strobe = false;
+            instance.burstY = null;
+            instance.effectStages = null;
+            instance.effectLevel = 0;
+            
+            // 美しい色バリエーション生成
+            this.applyColor(instance, color);
+            
+            getBucket(this.active, color).push(instance);
+            return instance;
+        },
+
+        // 色と色バリエーションの設定（色変化時にも再計算する）
+        applyColor(instance, color) {
+            instance.color = color;
+            instance.baseColor = color;
+            instance.colorVariation = generateColorVariation(color, 0.12, world.random);
+            instance.flameGradient = generateFlameGradient(color, 1.0, world.random);
+            
+            // 動的色変化用の初期設定
+            instance.colorEvolution = {
+                startColor: generateColorVariation(color, 0.05, world.random),
+                midColor: generateColorVariation(color, 0.08, world.random),
+                endColor: generateInnerFlameColor(color, 0.9) // 最終的により白く
+            };
+        },
+
+        returnInstance(instance) {
+            // onDeathハンドラーの実行
+            instance.onDeath && instance.onDeath(instance);
+            instance.effectStages && runDeathEffects(instance, world);
+            
+            // クリーンアップ
+            instance.onDeath = null;
+            instance.effectStages = null;
+            instance.secondColor = null;
+            instance.transitionTime = 0;
+            instance.colorChanged = false;
+            
+            // プールに戻す
+            this.count--;
+            this._pool.push(instance);
+        }
+    };
+}
+
+// Spark（火花）システム（ワールドごとに作成）
+function createSparkSystem(world) {
+    return {
+        // 描画プロパティ
+        drawWidth: 0.75,
         
-        // クリーンアップ
-        instance.onDeath = null;
-        instance.secondColor = null;
-        instance.transitionTime = 0;
-        instance.colorChanged = false;
+        // アクティブなパーティクル（色別）
+        active: createParticleCollection(),
+        _pool: [],
         
-        // プールに戻す
-        this._pool.push(instance);
-    }
-};
+        // アクティブ数と上限（上限に達すると add は null を返す）
+        count: 0,
+        limit: Infinity,
+        
+        _new() {
+            return {};
+        },
 
-// Spark（火花）システム
-const Spark = {
-    // 描画プロパティ
-    drawWidth: 0.75,
-    airDrag: 0.9,
-    
-    // アクティブなパーティクル（色別）
-    active: createParticleCollection(),
-    _pool: [],
-    
-    _new() {
-        return {};
-    },
+        add(x, y, color, angle, speed, life, sourceShell) {
+            if (this.count >= this.limit) return null;
+            this.count++;
+            
+            const instance = this._pool.pop() || this._new();
+            
+            // 奥行きの伝播（Star.add と同じ）
+            instance.z = sourceShell ? sourceShell.z : DEPTH.default;
+            instance.depthScale = getDepthScale(instance.z);
+            speed *= instance.depthScale;
+            
+            instance.x = x;
+            instance.y = y;
+            instance.prevX = x;
+            instance.prevY = y;
+            instance.color = color;
+            instance.speedX = Math.sin(angle) * speed;
+            instance.speedY = Math.cos(angle) * speed;
+            instance.life = life;
+            instance.fullLife = life;
+            
+            // 美しい色バリエーション生成（火花はより控えめに）
+            instance.baseColor = color;
+            instance.colorVariation = generateColorVariation(color, 0.08, world.random);
+            instance.flameGradient = generateFlameGradient(color, 0.7, world.random);
+            
+            // 火花用の動的色変化（より繊細に）
+            instance.colorEvolution = {
+                startColor: generateColorVariation(color, 0.04, world.random),
+                endColor: generateInnerFlameColor(color, 0.6)
+            };
+            
+            getBucket(this.active, color).push(instance);
+            return instance;
+        },
 
-    add(x, y, color, angle, speed, life, sourceShell) {
-        const instance = this._pool.pop() || this._new();
-        
-        instance.x = x;
-        instance.y = y;
-        instance.prevX = x;
-        instance.prevY = y;
-        instance.color = color;
-        instance.speedX = Math.sin(angle) * speed;
-        instance.speedY = Math.cos(angle) * speed;
-        instance.life = life;
-        instance.fullLife = life;
-        
-        // 美しい色バリエーション生成（火花はより控えめに）
-        instance.baseColor = color;
-        instance.colorVariation = generateColorVariation(color, 0.08);
-        instance.flameGradient = generateFlameGradient(color, 0.7);
-        
-        // 火花用の動的色変化（より繊細に）
-        instance.colorEvolution = {
-            startColor: generateColorVariation(color, 0.04),
-            endColor: generateInnerFlameColor(color, 0.6)
-        };
-        
-        // 深度情報の伝播
-        if (sourceShell) {
-            instance.depthLayer = sourceShell.depthLayer;
-            instance.intensityMultiplier = sourceShell.intensityMultiplier;
+        returnInstance(instance) {
+            this.count--;
+            this._pool.push(instance);
         }
+    };
+}
+
+// BurstFlash（爆発フラッシュ）システム（ワールドごとに作成）
+function createBurstFlashSystem() {
+    return {
+        active: [],
+        _pool: [],
         
-        this.active[color].push(instance);
-        return instance;
-    },
+        _new() {
+            return {};
+        },
+        
+        // color: 爆発した花火の色（顔のライティングの光源色、省略時は null）
+        add(x, y, radius, color) {
+            const instance = this._pool.pop() || this._new();
+            instance.x = x;
+            instance.y = y;
+            instance.radius = radius;
+            instance.color = color || null;
+            this.active.push(instance);
+            return instance;
+        },
+        
+        returnInstance(instance) {
+            this._pool.push(instance);
+        }
+    };
+}
 
-    returnInstance(instance) {
-        this._pool.push(instance);
-    }
+/**
+ * 煙の設定
+ *   puffs: 爆発1回あたりの煙の数（spreadSize 300 の花火、density = 1 のとき）
+ *   life: 煙が消えるまでの時間(ms)（± lifeVariation の割合でばらつく）
+ *   radius: 発生時の半径（spreadSize に対する比率）/ growth: 30FPS基準1フレームあたりの半径の増加(px)
+ *   buoyancy: 浮力（30FPS基準1フレームあたりに昇る量）
+ *   tintRange: 爆発の光が煙を照らす距離（spreadSize に対する倍率）
+ *   tintFade: 照らされた色の30FPS基準1フレームあたりの減衰率
+ */
+const SMOKE = {
+    puffs: 6,
+    life: 4000,
+    lifeVariation: 0.3,
+    radius: 0.12,
+    growth: 0.25,
+    buoyancy: 0.05,
+    tintRange: 1.5,
+    tintFade: 0.93
 };
 
-// BurstFlash（爆発フラッシュ）システム
-const BurstFlash = {
-    active: [],
-    _pool: [],
-    
-    _new() {
-        return {};
-    },
-    
-    add(x, y, radius) {
-        const instance = this._pool.pop() || this._new();
-        instance.x = x;
-        instance.y = y;
-        instance.radius = radius;
-        this.active.push(instance);
-        return instance;
-    },
-    
-    returnInstance(instance) {
-        this._pool.push(instance);
-    }
-};
+// Smoke（煙）システム（ワールドごとに作成）
+//   density: 煙の量の倍率（0 で発生しない）
+function createSmokeSystem() {
+    return {
+        active: [],
+        _pool: [],
+        density: 1,
+        limit: Infinity,
+        
+        _new() {
+            return {};
+        },
+        
+        add(x, y, angle, speed, radius, life, sourceShell) {
+            if (this.active.length >= this.limit) return null;
+            
+            const instance = this._pool.pop() || this._new();
+            
+            // 奥行きの伝播（Star.add と同じ、大きさも遠近に合わせる）
+            instance.z = sourceShell ? sourceShell.z : DEPTH.default;
+            instance.depthScale = getDepthScale(instance.z);
+            
+            instance.x = x;
+            instance.y = y;
+            instance.prevX = x;
+            instance.prevY = y;
+            instance.speedX = Math.sin(angle) * speed * instance.depthScale;
+            instance.speedY = Math.cos(angle) * speed * instance.depthScale;
+            instance.radius = radius * instance.depthScale;
+            instance.life = life;
+            instance.fullLife = life;
+            
+            // 爆発の光による色（tint: 色、tintAmount: 0〜1）
+            instance.tint = null;
+            instance.tintAmount = 0;
+            
+            this.active.push(instance);
+            return instance;
+        },
+        
+        // 爆発の光で近くの煙を照らす（近いほど強く、より強い光で照らされていれば上書きしない）
+        illuminate(x, y, range, color) {
+            if (!color || color === INVISIBLE) return;
+            
+            this.active.forEach(smoke => {
+                const amount = 1 - Math.hypot(smoke.x - x, smoke.y - y) / range;
+                if (amount > smoke.tintAmount) {
+                    smoke.tint = color;
+                    smoke.tintAmount = amount;
+                }
+            });
+        },
+        
+        returnInstance(instance) {
+            this._pool.push(instance);
+        }
+    };
+}
 
 // 粒子アーク作成ヘルパー
-function createParticleArc(start, arcLength, count, randomness, particleFactory) {
+function createParticleArc(start, arcLength, count, randomness, particleFactory, rng = Math.random) {
     const angleDelta = arcLength / count;
     const end = start + arcLength - (angleDelta * 0.5);
     
     if (end > start) {
         for (let angle = start; angle < end; angle = angle + angleDelta) {
-            particleFactory(angle + Math.random() * angleDelta * randomness);
+            particleFactory(angle + rng() * angleDelta * randomness);
         }
     } else {
         for (let angle = start; angle > end; angle = angle + angleDelta) {
-            particleFactory(angle + Math.random() * angleDelta * randomness);
+            particleFactory(angle + rng() * angleDelta * randomness);
         }
     }
 }
 
 // 球状爆発作成ヘルパー
-function createBurst(count, particleFactory, startAngle = 0, arcLength = PI_2) {
+function createBurst(count, particleFactory, startAngle = 0, arcLength = PI_2, rng = Math.random) {
     // 球面の表面積を基準にした計算
     const R = 0.5 * Math.sqrt(count / Math.PI);
     const C = 2 * R * Math.PI;
@@ -402,75 +705,475 @@ function createBurst(count, particleFactory, startAngle = 0, arcLength = PI_2) {
         const partsPerArc = partsPerFullRing * (arcLength / PI_2);
         
         const angleInc = PI_2 / partsPerFullRing;
-        const angleOffset = Math.random() * angleInc + startAngle;
+        const angleOffset = rng() * angleInc + startAngle;
         const maxRandomAngleOffset = angleInc * 0.33;
         
         for (let i = 0; i < partsPerArc; i++) {
-            const randomAngleOffset = Math.random() * maxRandomAngleOffset;
+            const randomAngleOffset = rng() * maxRandomAngleOffset;
             let angle = angleInc * i + angleOffset + randomAngleOffset;
             particleFactory(angle, ringSize);
         }
     }
 }
 
-// エフェクト関数群
-function crossetteEffect(star) {
-    const startAngle = Math.random() * PI_HALF;
+// 形状バースト用の定義済み形状
+// 各関数は点数を受け取り、-1〜1 に収まる2D点列（y は下向き）を返す
+const SHAPES = {
+    ring(count) {
+        return createShapeArc(0, 0, 1, 0, PI_2, count);
+    },
+    
+    heart(count) {
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            const t = i / count * PI_2;
+            points.push({
+                x: 16 * Math.pow(Math.sin(t), 3) / 17,
+                y: -(13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t)) / 17
+            });
+        }
+        return points;
+    },
+    
+    star(count) {
+        // 外側と内側の頂点を交互に結んだ五芒星の輪郭
+        const vertices = [];
+        for (let i = 0; i < 10; i++) {
+            const radius = i % 2 === 0 ? 1 : 0.42;
+            const angle = i / 10 * PI_2 - PI_HALF;
+            vertices.push({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+        }
+        
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            const position = i / count * vertices.length;
+            const from = vertices[Math.floor(position)];
+            const to = vertices[(Math.floor(position) + 1) % vertices.length];
+            const t = position % 1;
+            points.push({ x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t });
+        }
+        return points;
+    },
+    
+    smiley(count) {
+        // 輪郭 60%、目 各8%、口 24%
+        const eyeCount = Math.max(3, Math.round(count * 0.08));
+        const mouthCount = Math.max(5, Math.round(count * 0.24));
+        const faceCount = Math.max(8, count - eyeCount * 2 - mouthCount);
+        return [
+            ...createShapeArc(0, 0, 1, 0, PI_2, faceCount),
+            ...createShapeArc(-0.35, -0.3, 0.1, 0, PI_2, eyeCount),
+            ...createShapeArc(0.35, -0.3, 0.1, 0, PI_2, eyeCount),
+            ...createShapeArc(0, 0, 0.6, Math.PI * 0.15, Math.PI * 0.7, mouthCount)
+        ];
+    }
+};
+
+// 円弧上に等間隔の点を並べる
+function createShapeArc(centerX, centerY, radius, start, arcLength, count) {
+    const points = [];
+    const closed = arcLength >= PI_2;
+    for (let i = 0; i < count; i++) {
+        const angle = start + arcLength * i / (closed ? count : Math.max(1, count - 1));
+        points.push({ x: centerX + Math.cos(angle) * radius, y: centerY + Math.sin(angle) * radius });
+    }
+    return points;
+}
+
+// 任意の点列を中心合わせして -1〜1 に正規化（[x, y] と { x, y } の両方を受け付ける）
+function normalizeShapePoints(points) {
+    const list = points.map(p => Array.isArray(p) ? { x: p[0], y: p[1] } : { x: p.x, y: p.y });
+    if (!list.length) return list;
+    
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    list.forEach(p => {
+        minX = Math.min(minX, p.x);
+        maxX = Math.max(maxX, p.x);
+        minY = Math.min(minY, p.y);
+        maxY = Math.max(maxY, p.y);
+    });
+    
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+    const scale = Math.max(maxX - minX, maxY - minY) / 2 || 1;
+    
+    return list.map(p => ({ x: (p.x - centerX) / scale, y: (p.y - centerY) / scale }));
+}
+
+// 点列を count 個以下に間引く
+function sampleShapePoints(points, count) {
+    if (points.length <= count) return points;
+    
+    const stride = points.length / count;
+    const sampled = [];
+    for (let i = 0; i < count; i++) {
+        sampled.push(points[Math.floor(i * stride)]);
+    }
+    return sampled;
+}
+
+// テキスト・画像の輪郭点キャッシュ
+const textShapeCache = new Map();
+const imageShapeCache = new WeakMap();
+const OUTLINE_STEP = 2;
+
+// テキスト・画像をピクセルに変換するラスタライザ（コアは DOM に依存しないため外部から登録する）
+//   rasterizeText(text, font) / rasterizeImage(image, maxSize) → { width, height, data(RGBA) }
+// ブラウザでは fireworks-browser.js がキャンバス実装を登録する
+let shapeRasterizer = null;
+
+function setShapeRasterizer(rasterizer) {
+    shapeRasterizer = rasterizer;
+    textShapeCache.clear();
+}
+
+function requireShapeRasterizer() {
+    if (!shapeRasterizer) {
+        throw new Error('Text and image shapes require a shape rasterizer (FireworksCore.setShapeRasterizer)');
+    }
+    return shapeRasterizer;
+}
+
+// シルエット（不透明ピクセルのうち透明に接するもの）の輪郭を抽出
+function extractOutline({ width, height, data }) {
+    const isSolid = (x, y) => {
+        return x >= 0 && y >= 0 && x < width && y < height && data[(y * width + x) * 4 + 3] > 128;
+    };
+    
+    const points = [];
+    for (let y = 0; y < height; y += OUTLINE_STEP) {
+        for (let x = 0; x < width; x += OUTLINE_STEP) {
+            if (isSolid(x, y) && (
+                !isSolid(x - OUTLINE_STEP, y) || !isSolid(x + OUTLINE_STEP, y) ||
+                !isSolid(x, y - OUTLINE_STEP) || !isSolid(x, y + OUTLINE_STEP)
+            )) {
+                points.push({ x, y });
+            }
+        }
+    }
+    return normalizeShapePoints(points);
+}
+
+function rasterizeText(text, font) {
+    const key = `${font}|${text}`;
+    if (!textShapeCache.has(key)) {
+        textShapeCache.set(key, extractOutline(requireShapeRasterizer().rasterizeText(text, font)));
+    }
+    return textShapeCache.get(key);
+}
+
+function rasterizeImage(image) {
+    if (!imageShapeCache.has(image)) {
+        // 長辺128pxに縮小してシルエット化
+        imageShapeCache.set(image, extractOutline(requireShapeRasterizer().rasterizeImage(image, 128)));
+    }
+    return imageShapeCache.get(image);
+}
+
+/**
+ * shape オプションを -1〜1 の2D点列に解決
+ *   'heart' など SHAPES の名前 / 点の配列 / { points } / { text, font } / { image }
+ */
+function resolveShape(shape, count) {
+    if (typeof shape === 'string') {
+        if (!SHAPES[shape]) {
+            throw new Error(`Unknown shape: ${shape} (available: ${Object.keys(SHAPES).join(', ')})`);
+        }
+        return SHAPES[shape](count);
+    }
+    if (Array.isArray(shape)) {
+        return sampleShapePoints(normalizeShapePoints(shape), count);
+    }
+    if (shape.points) {
+        return sampleShapePoints(normalizeShapePoints(shape.points), count);
+    }
+    if (shape.text) {
+        return sampleShapePoints(rasterizeText(shape.text, shape.font || 'bold 64px sans-serif'), count);
+    }
+    if (shape.image) {
+        return sampleShapePoints(rasterizeImage(shape.image), count);
+    }
+    return [];
+}
+
+// 形状バーストの傾き（ラジアン）の最大値：x = 上下, y = 左右, z = 面内回転
+const SHAPE_TILT = { x: 0.7, y: 0.7, z: 0.25 };
+
+// 形状バースト作成ヘルパー
+// 2D点列をランダムに3D回転して画面に投影し、その形に開く速度で星を生成する
+function createShapeBurst(points, particleFactory, rng = Math.random) {
+    const tiltX = (rng() - 0.5) * 2 * SHAPE_TILT.x;
+    const tiltY = (rng() - 0.5) * 2 * SHAPE_TILT.y;
+    const tiltZ = (rng() - 0.5) * 2 * SHAPE_TILT.z;
+    const cosX = Math.cos(tiltX), sinX = Math.sin(tiltX);
+    const cosY = Math.cos(tiltY), sinY = Math.sin(tiltY);
+    const cosZ = Math.cos(tiltZ), sinZ = Math.sin(tiltZ);
+    
+    points.forEach(point => {
+        // 面内回転
+        const x = point.x * cosZ - point.y * sinZ;
+        const y = point.x * sinZ + point.y * cosZ;
+        // 上下の傾き（奥行き z を生む）
+        const projectedY = y * cosX;
+        const z = y * sinX;
+        // 左右の傾き
+        const projectedX = x * cosY + z * sinY;
+        
+        particleFactory(Math.atan2(projectedX, projectedY), Math.hypot(projectedX, projectedY));
+    });
+}
+
+// エフェクト関数群（star: 燃え尽きた星、world: 星が属するワールド）
+function crossetteEffect(star, world) {
+    const startAngle = world.random() * PI_HALF;
     createParticleArc(startAngle, PI_2, 4, 0.5, (angle) => {
-        Star.add(
+        const child = world.Star.add(
             star.x,
             star.y,
             star.color,
             angle,
-            Math.random() * 0.6 + 0.75,
+            world.random() * 0.6 + 0.75,
             600,
             0, // speedOffX
             0, // speedOffY
-            star // sourceShell (元のstarの深度情報を継承)
+            star // sourceShell (元のstarの奥行きを継承)
         );
-    });
+        if (child) {
+            inheritDeathEffects(child, star);
+        }
+    }, world.random);
 }
 
-function floralEffect(star) {
+function floralEffect(star, world) {
     const count = 12;
     createBurst(count, (angle, speedMult) => {
-        Star.add(
+        const child = world.Star.add(
             star.x,
             star.y,
             star.color,
             angle,
             speedMult * 2.4,
-            1000 + Math.random() * 300,
+            1000 + world.random() * 300,
             star.speedX,
             star.speedY,
-            star // sourceShell (元のstarの深度情報を継承)
+            star // sourceShell (元のstarの奥行きを継承)
         );
-    });
-    BurstFlash.add(star.x, star.y, 46);
+        if (child) {
+            inheritDeathEffects(child, star);
+        }
+    }, 0, PI_2, world.random);
+    world.BurstFlash.add(star.x, star.y, 46, star.color);
 }
 
-function crackleEffect(star) {
+function crackleEffect(star, world) {
     const count = 16;
     createParticleArc(0, PI_2, count, 1.8, (angle) => {
-        Spark.add(
+        world.Spark.add(
             star.x,
             star.y,
             COLOR.Gold,
             angle,
-            Math.pow(Math.random(), 0.45) * 2.4,
-            300 + Math.random() * 200,
-            star // sourceShell (元のstarの深度情報を継承)
+            Math.pow(world.random(), 0.45) * 2.4,
+            300 + world.random() * 200,
+            star // sourceShell (元のstarの奥行きを継承)
         );
+    }, world.random);
+}
+
+function fallingLeavesEffect(star, world) {
+    createBurst(7, (angle, speedMult) => {
+        const leaf = world.Star.add(
+            star.x,
+            star.y,
+            INVISIBLE,
+            angle,
+            speedMult * 2.4,
+            2400 + world.random() * 600,
+            star.speedX,
+            star.speedY,
+            star // sourceShell (元のstarの奥行きを継承)
+        );
+        if (!leaf) return;
+        
+        // 見えない星から金色の火花だけを落とす
+        leaf.sparkColor = COLOR.Gold;
+        leaf.sparkFreq = 144;
+        leaf.sparkSpeed = 0.28;
+        leaf.sparkLife = 750;
+        leaf.sparkLifeVariation = 3.2;
+        inheritDeathEffects(leaf, star);
+    }, 0, PI_2, world.random);
+    world.BurstFlash.add(star.x, star.y, 46, star.color);
+}
+
+// 死亡時エフェクトのレジストリ（名前 → (star, world) => void）
+// キー名は Shell の真偽値オプション（crossette: true など）と共通
+const DEATH_EFFECTS = {
+    crossette: crossetteEffect,
+    floral: floralEffect,
+    crackle: crackleEffect,
+    fallingLeaves: fallingLeavesEffect
+};
+
+// 連鎖エフェクトの安全上限
+//   maxDepth: 入れ子の深さの上限 / maxStars: この数以上の星が生きている間は連鎖を打ち切る
+const EFFECT_LIMITS = {
+    maxDepth: 4,
+    maxStars: 2500
+};
+
+/**
+ * Shell の設定から死亡時エフェクトの段階リストを作成
+ * effects: ['crossette', 'crackle'] なら「クロセットで割れた子星がクラックルではじける」
+ * 各段階は名前または名前の配列（同じ段階で全て実行）、真偽値オプションは第1段階に合成される
+ * DEATH_EFFECTS にない名前は例外（綴りの誤りで何も起きない星にならないよう）
+ * effectDepth を段階数より大きくすると最後の段階を繰り返す（EFFECT_LIMITS.maxDepth で頭打ち）
+ */
+function createEffectStages(shell) {
+    const stages = (shell.effects || []).map(stage => {
+        const names = Array.isArray(stage) ? stage : [stage];
+        names.forEach(name => {
+            if (!DEATH_EFFECTS[name]) {
+                throw new Error(`Unknown death effect: ${name} (available: ${Object.keys(DEATH_EFFECTS).join(', ')})`);
+            }
+        });
+        return names;
+    });
+    
+    Object.keys(DEATH_EFFECTS).forEach(name => {
+        if (shell[name] === true) {
+            if (!stages.length) stages.push([]);
+            if (!stages[0].includes(name)) stages[0].push(name);
+        }
+    });
+    
+    if (!stages.length) return null;
+    
+    const depth = Math.min(shell.effectDepth || stages.length, EFFECT_LIMITS.maxDepth);
+    const resolved = [];
+    for (let i = 0; i < depth; i++) {
+        resolved.push(stages[Math.min(i, stages.length - 1)]);
+    }
+    return resolved;
+}
+
+// 子星に次の段階のエフェクトを引き継ぐ
+function inheritDeathEffects(child, parent) {
+    child.effectStages = parent.effectStages;
+    child.effectLevel = parent.effectLevel + 1;
+}
+
+function runDeathEffects(star, world) {
+    const stage = star.effectStages[star.effectLevel];
+    if (!stage) return;
+    
+    // 星が増えすぎたら連鎖を打ち切る（Star._pool の膨張防止）
+    if (world.Star.count >= EFFECT_LIMITS.maxStars) return;
+    
+    stage.forEach(name => DEATH_EFFECTS[name](star, world));
+}
+
+// グリッターモード定義（火花の尾の出方）
+// 新しいモードはこのテーブルにキーを追加するだけで Shell の glitter オプションから使える
+//   sparkFreq: 火花の発生間隔(ms) / sparkSpeed: 火花の初速 / sparkLife: 火花の寿命(ms)
+//   sparkLifeVariation: 寿命のばらつき / heavy: 空気抵抗の小さい重い星 / starLifeScale: 星の寿命倍率
+const GLITTER_MODES = {
+    // light / medium / heavy は火花量1.3倍に増量済み（400 / 1.3 ≈ 308 など）
+    light: { sparkFreq: 308, sparkSpeed: 0.3, sparkLife: 300 },
+    medium: { sparkFreq: 154, sparkSpeed: 0.44, sparkLife: 700 },
+    heavy: { sparkFreq: 62, sparkSpeed: 0.8, sparkLife: 1400 },
+    // ヤシ：太く密な葉状の尾
+    thick: { sparkFreq: 16, sparkSpeed: 1.5, sparkLife: 500, sparkLifeVariation: 2 },
+    // 柳：重い星がゆっくり燃え、金色の尾が長く垂れ下がる
+    willow: { sparkFreq: 120, sparkSpeed: 0.34, sparkLife: 1400, sparkLifeVariation: 3.8, heavy: true, starLifeScale: 1.6 }
+};
+
+function applyGlitterMode(star, mode, glitterColor) {
+    star.sparkFreq = mode.sparkFreq;
+    star.sparkSpeed = mode.sparkSpeed;
+    star.sparkLife = mode.sparkLife;
+    if (mode.sparkLifeVariation !== undefined) {
+        star.sparkLifeVariation = mode.sparkLifeVariation;
+    }
+    if (mode.heavy) {
+        star.heavy = true;
+    }
+    star.sparkColor = glitterColor;
+}
+
+/**
+ * スピン（星が回転しながら飛んで螺旋を描く）
+ *   spinRadius: 30FPS基準1フレームあたりの回転による移動量(px)、回転の半径は spinRadius / spinSpeed
+ *   spinSpeed: 30FPS基準1フレームあたりの回転角(rad)、負の値で逆回り
+ *   spinVariation: 星ごとの spinRadius・spinSpeed のばらつき（既定 0.3）
+ *   spinRandomDirection: 星ごとに回転の向きをランダムにする
+ */
+function applySpin(star, shell, random) {
+    const variation = shell.spinVariation !== undefined ? shell.spinVariation : 0.3;
+    const direction = shell.spinRandomDirection && random() < 0.5 ? -1 : 1;
+    star.spinRadius = shell.spinRadius * (1 + (random() - 0.5) * variation);
+    star.spinSpeed = (shell.spinSpeed || 0.8) * (1 + (random() - 0.5) * variation) * direction;
+}
+
+// 多段割りの入れ子の深さの上限（breaks を持つシェルを breaks に入れた場合の安全装置）
+const BREAK_LIMITS = {
+    maxDepth: 4
+};
+
+/**
+ * 多段割りの後続の段の設定
+ *   type: shellTypes の名前（size: その大きさ、既定 1）、省略時は親の spreadSize・starLife を引き継ぐ
+ *   shell: 上書きするシェル設定（色など）
+ * 奥行きは親と同じ
+ */
+function createBreakOptions(brk, parent) {
+    const base = brk.type
+        ? shellTypes[brk.type](brk.size !== undefined ? brk.size : 1, parent.world)
+        : { spreadSize: parent.spreadSize, starLife: parent.starLife };
+    return {
+        ...base,
+        ...brk.shell,
+        z: parent.z,
+        breakLevel: (parent.breakLevel || 0) + 1
+    };
+}
+
+// 多段割りの後続の段を、シミュレーション時間で delay 後に破裂位置から offset だけずらして破裂させる
+function scheduleBreaks(shell, x, y) {
+    if ((shell.breakLevel || 0) >= BREAK_LIMITS.maxDepth) return;
+    
+    const world = shell.world;
+    const scale = getDepthScale(shell.z);
+    shell.breaks.forEach(brk => {
+        const offset = brk.offset || { x: 0, y: 0 };
+        world.schedule(brk.delay || 0, () => {
+            world.createShell(createBreakOptions(brk, shell)).burst(x + offset.x * scale, y + offset.y * scale);
+        });
     });
 }
 
-// Shell（花火本体）クラス
+// Shell（花火本体）クラス（world: 星を生成するワールド）
 class Shell {
-    constructor(options) {
+    constructor(options, world) {
         Object.assign(this, options);
+        this.world = world;
         this.starLifeVariation = options.starLifeVariation || 0.125;
-        this.color = options.color || randomColor();
+        this.color = options.color || world.randomColor();
         this.glitterColor = options.glitterColor || this.color;
+        this.z = resolveDepth(options.z); // 奥行き（0: 手前 〜 1: 奥）
+        this.effectStages = createEffectStages(this);
+        
+        // 形状名の綴りの誤りで星のない爆発にならないよう、作成時に確認
+        if (typeof this.shape === 'string' && !SHAPES[this.shape]) {
+            throw new Error(`Unknown shape: ${this.shape} (available: ${Object.keys(SHAPES).join(', ')})`);
+        }
+        
+        // 多段割りの種類名は破裂前に確認（破裂時に例外を出すとシミュレーションが止まる）
+        (this.breaks || []).forEach(brk => {
+            if (brk.type && !shellTypes[brk.type]) {
+                throw new Error(`Unknown break shell type: ${brk.type}`);
+            }
+        });
         
         // デフォルトのstar数設定（1.3倍に増量）
         if (!this.starCount) {
@@ -481,75 +1184,215 @@ class Shell {
     }
     
     burst(x, y) {
+        const { Star, BurstFlash, Smoke, random } = this.world;
+        const starCount = Math.max(1, Math.round(this.starCount * this.world.starCountScale));
+        
         // スピードとライフのばらつき計算
         const speed = this.spreadSize / 96;
-        const starLife = this.starLife || 1500;
+        const glitterMode = GLITTER_MODES[this.glitter];
+        const starLife = (this.starLife || 1500) * (glitterMode && glitterMode.starLifeScale || 1);
         const variation = this.starLifeVariation;
         
-        // メイン爆発
-        createBurst(this.starCount, (angle, speedMult) => {
+        // 馬の尾：星を上向きに打ち出して噴水のように垂れ下がらせる
+        const speedOffY = this.horsetail ? -speed * 0.8 : 0;
+        
+        // メイン爆発（shape 指定時はその形に開く）
+        const starFactory = (angle, speedMult) => {
             const star = Star.add(
                 x,
                 y,
                 this.color,
                 angle,
                 speedMult * speed,
-                starLife + starLife * (Math.random() - 0.5) * variation,
+                starLife + starLife * (random() - 0.5) * variation,
                 0, // speedOffX
-                0, // speedOffY
+                speedOffY,
                 this // sourceShell
             );
+            if (!star) return; // 星数の上限
             
-            // エフェクト適用（火花量1.3倍に増量）
-            if (this.glitter === 'light') {
-                star.sparkFreq = 308; // 400 / 1.3 ≈ 308
-                star.sparkSpeed = 0.3;
-                star.sparkLife = 300;
-                star.sparkColor = this.glitterColor;
-            } else if (this.glitter === 'medium') {
-                star.sparkFreq = 154; // 200 / 1.3 ≈ 154
-                star.sparkSpeed = 0.44;
-                star.sparkLife = 700;
-                star.sparkColor = this.glitterColor;
-            } else if (this.glitter === 'heavy') {
-                star.sparkFreq = 62; // 80 / 1.3 ≈ 62
-                star.sparkSpeed = 0.8;
-                star.sparkLife = 1400;
-                star.sparkColor = this.glitterColor;
+            if (this.horsetail) {
+                star.heavy = true;
             }
             
-            // 特殊エフェクト
-            if (this.crossette) {
-                star.onDeath = crossetteEffect;
+            // グリッターモード適用（GLITTER_MODES テーブル参照）
+            if (glitterMode) {
+                applyGlitterMode(star, glitterMode, this.glitterColor);
             }
-            if (this.floral) {
-                star.onDeath = floralEffect;
+            
+            // 色変化（transitionTime 以降に secondColor へ切り替わる）
+            if (this.secondColor) {
+                star.transitionTime = starLife * (random() * 0.05 + 0.32);
+                star.secondColor = this.secondColor;
             }
-            if (this.crackle) {
-                star.onDeath = crackleEffect;
+            
+            // ストロボ（寿命後半で点滅、strobeColor があればその色で点滅）
+            if (this.strobe) {
+                star.transitionTime = starLife * (random() * 0.08 + 0.46);
+                star.strobe = true;
+                star.strobeFreq = random() * 20 + 40;
+                if (this.strobeColor) {
+                    star.secondColor = this.strobeColor;
+                }
             }
-        });
+            
+            // スピン（星が螺旋を描きながら飛ぶ）
+            if (this.spinRadius) {
+                applySpin(star, this, random);
+            }
+            
+            // 特殊エフェクト（死亡時に段階的に連鎖）
+            if (this.effectStages) {
+                star.effectStages = this.effectStages;
+                star.effectLevel = 0;
+            }
+        };
         
-        // バーストフラッシュ
-        BurstFlash.add(x, y, this.spreadSize / 4);
+        if (this.shape) {
+            createShapeBurst(resolveShape(this.shape, starCount), starFactory, random);
+        } else {
+            createBurst(starCount, starFactory, 0, PI_2, random);
+        }
+        
+        // ピストル（内側に別色の芯を開く）
+        if (this.pistil) {
+            const innerShell = new Shell({
+                spreadSize: this.spreadSize * 0.5,
+                starLife: starLife * 0.6,
+                starLifeVariation: this.starLifeVariation,
+                starDensity: 1.4,
+                color: this.pistilColor,
+                glitter: 'light',
+                glitterColor: this.pistilColor === COLOR.Gold ? COLOR.Gold : COLOR.White,
+                z: this.z,
+                innerBurst: true // 煙・フラッシュは外側の爆発が出す
+            }, this.world);
+            innerShell.burst(x, y);
+        }
+        
+        // 煙とバーストフラッシュ（ピストルなど同じ位置で開く内側の爆発では出さない）
+        if (!this.innerBurst) {
+            // 煙（爆発のまわりに漂い、この爆発と近くの爆発の光で色づく）
+            const puffs = Math.round(SMOKE.puffs * Smoke.density * this.spreadSize / 300);
+            for (let i = 0; i < puffs; i++) {
+                Smoke.add(
+                    x,
+                    y,
+                    random() * PI_2,
+                    random() * speed * 0.5,
+                    this.spreadSize * SMOKE.radius * (0.6 + random() * 0.8),
+                    SMOKE.life * (1 + (random() - 0.5) * 2 * SMOKE.lifeVariation),
+                    this
+                );
+            }
+            Smoke.illuminate(x, y, this.spreadSize * SMOKE.tintRange * getDepthScale(this.z), this.color);
+            
+            BurstFlash.add(x, y, this.spreadSize / 4, this.color);
+        }
+        
+        // 多段割り
+        if (this.breaks) {
+            scheduleBreaks(this, x, y);
+        }
         
         return this;
     }
+    
+    /**
+     * 打ち上げ（コメット）フェーズ
+     * 発射点から目標点に向けてコメットを打ち上げ、頂点または破裂高度に達した位置で burst する
+     *   launchDuration: 目標高度までの到達時間(ms) / cometColor: コメットの色
+     *   cometTrailDensity: 尾の火花密度の倍率
+     */
+    launch(x, y, targetX, targetY) {
+        const duration = this.launchDuration || 900;
+        const { stepTime, physics } = this.world;
+        const speed = stepTime / BASE_FRAME_TIME;
+        const steps = duration / stepTime;
+        const drag = 1 - (1 - physics.drag.starHeavy) * speed;
+        const gAcc = stepTime / 1000 * physics.gravity * getDepthScale(this.z);
+        
+        // 重力と空気抵抗の下で duration 後に目標点へ届く初速（届く前に頂点に達する場合は頂点で破裂）
+        const speedX = getLaunchSpeed(targetX - x, steps, speed, drag, 0);
+        const speedY = getLaunchSpeed(targetY - y, steps, speed, drag, gAcc);
+        
+        const cometColor = this.cometColor || (this.color === INVISIBLE ? COLOR.White : this.color);
+        const comet = this.world.Star.add(
+            x,
+            y,
+            cometColor,
+            0,
+            0,
+            duration * 2, // 安全のための最大寿命
+            speedX,
+            speedY,
+            this // sourceShell
+        );
+        if (!comet) return null; // 星数の上限
+        
+        comet.heavy = true;
+        comet.burstY = targetY;
+        
+        // 打ち上げの尾
+        comet.sparkFreq = 32 / (this.cometTrailDensity || 1);
+        comet.sparkSpeed = 0.5;
+        comet.sparkLife = 320;
+        comet.sparkLifeVariation = 3;
+        comet.sparkColor = cometColor;
+        
+        comet.onDeath = (star) => this.burst(star.x, star.y);
+        
+        return comet;
+    }
+}
+
+// updateFireworks の1ステップ（移動 → 空気抵抗 → 加速）を steps 回繰り返して distance だけ進む初速（風は含めない）
+// 速度は毎ステップ終端速度 acc / (1 - drag) に向けて drag 倍ずつ近づくので、移動量は等比級数の和で求まる
+function getLaunchSpeed(distance, steps, speed, drag, acc) {
+    if (drag >= 1) {
+        return distance / (steps * speed) - acc * (steps - 1) / 2;
+    }
+    const terminal = acc / (1 - drag);
+    return terminal + (distance / speed - steps * terminal) * (1 - drag) / (1 - Math.pow(drag, steps));
+}
+
+// 打ち上げ中のコメットが頂点または破裂高度に達したか
+function hasReachedBurstPoint(star) {
+    return star.burstY !== null && (star.y <= star.burstY || star.speedY >= 0);
+}
+
+// 予定時刻を過ぎた world.schedule の処理を予定順に実行
+// 1つの処理が例外を出しても報告するだけで、残りの予定とステップは続ける（描画ループを止めない）
+function runScheduled(world) {
+    const scheduled = world.scheduled;
+    while (scheduled.length && scheduled[0].time <= world.time) {
+        const task = scheduled.shift();
+        try {
+            task.callback();
+        } catch (error) {
+            console.error('Scheduled callback failed:', error);
+        }
+    }
 }
 
-// 物理演算更新システム
-let currentFrame = 0;
-function updateFireworks(frameTime, speed) {
-    currentFrame++;
+// 物理演算更新システム（world の全パーティクルを1フレーム進める）
+function updateFireworks(world, frameTime, speed) {
+    const { Star, Spark, random, physics, wind } = world;
+    const currentFrame = ++world.frame;
+    const sparkInterval = 1 / world.sparkFreqScale;
     
     const timeStep = frameTime;
-    const starDrag = 1 - (1 - Star.airDrag) * speed;
-    const starDragHeavy = 1 - (1 - Star.airDragHeavy) * speed;
-    const sparkDrag = 1 - (1 - Spark.airDrag) * speed;
-    const gAcc = timeStep / 1000 * GRAVITY;
+    world.time += timeStep;
+    updateWind(world);
+    runScheduled(world);
     
-    COLOR_CODES_W_INVIS.forEach(color => {
-        // Stars更新
+    const starDrag = 1 - (1 - physics.drag.star) * speed;
+    const starDragHeavy = 1 - (1 - physics.drag.starHeavy) * speed;
+    const sparkDrag = 1 - (1 - physics.drag.spark) * speed;
+    const gAcc = timeStep / 1000 * physics.gravity;
+    
+    // Stars更新（色変化で新しく作られたバケットは次のステップから）
+    Object.keys(Star.active).forEach(color => {
         const stars = Star.active[color];
         for (let i = stars.length - 1; i >= 0; i--) {
             const star = stars[i];
@@ -561,7 +1404,7 @@ function updateFireworks(frameTime, speed) {
             star.updateFrame = currentFrame;
             
             star.life -= timeStep;
-            if (star.life <= 0) {
+            if (star.life <= 0 || hasReachedBurstPoint(star)) {
                 stars.splice(i, 1);
                 Star.returnInstance(star);
             } else {
@@ -573,36 +1416,32 @@ function updateFireworks(frameTime, speed) {
                 star.x += star.speedX * speed;
                 star.y += star.speedY * speed;
                 
-                // 空気抵抗適用
-                if (!star.heavy) {
-                    star.speedX *= starDrag;
-                    star.speedY *= starDrag;
-                } else {
-                    star.speedX *= starDragHeavy;
-                    star.speedY *= starDragHeavy;
-                }
-                star.speedY += gAcc;
+                // 空気抵抗適用（風に流される）
+                applyDrag(star, star.heavy ? starDragHeavy : starDrag, wind);
+                star.speedY += gAcc * star.depthScale;
                 
                 // スピン効果
                 if (star.spinRadius) {
                     star.spinAngle += star.spinSpeed * speed;
-                    star.x += Math.sin(star.spinAngle) * star.spinRadius * speed;
-                    star.y += Math.cos(star.spinAngle) * star.spinRadius * speed;
+                    star.x += Math.sin(star.spinAngle) * star.spinRadius * star.depthScale * speed;
+                    star.y += Math.cos(star.spinAngle) * star.spinRadius * star.depthScale * speed;
                 }
                 
                 // 火花生成
                 if (star.sparkFreq) {
                     star.sparkTimer -= timeStep;
                     while (star.sparkTimer < 0) {
-                        star.sparkTimer += star.sparkFreq * 0.75 + star.sparkFreq * burnRateInverse * 4;
+                        // このステップ内で発生するはずだった時点の位置から出す（スピン中も尾が螺旋に沿う）
+                        const t = Math.max(0, 1 + star.sparkTimer / timeStep);
+                        star.sparkTimer += (star.sparkFreq * 0.75 + star.sparkFreq * burnRateInverse * 4) * sparkInterval;
                         Spark.add(
-                            star.x,
-                            star.y,
+                            star.prevX + (star.x - star.prevX) * t,
+                            star.prevY + (star.y - star.prevY) * t,
                             star.sparkColor,
-                            Math.random() * PI_2,
-                            Math.random() * star.sparkSpeed * burnRate,
-                            star.sparkLife * 0.8 + Math.random() * star.sparkLifeVariation * star.sparkLife,
-                            star // sourceShell (starの深度情報を継承)
+                            random() * PI_2,
+                            random() * star.sparkSpeed * burnRate,
+                            star.sparkLife * 0.8 + random() * star.sparkLifeVariation * star.sparkLife,
+                            star // sourceShell (starの奥行きを継承)
                         );
                     }
                 }
@@ -611,9 +1450,9 @@ function updateFireworks(frameTime, speed) {
                 if (star.life < star.transitionTime) {
                     if (star.secondColor && !star.colorChanged) {
                         star.colorChanged = true;
-                        star.color = star.secondColor;
+                        Star.applyColor(star, star.secondColor);
                         stars.splice(i, 1);
-                        Star.active[star.secondColor].push(star);
+                        getBucket(Star.active, star.secondColor).push(star);
                         if (star.secondColor === INVISIBLE) {
                             star.sparkFreq = 0;
                         }
@@ -625,8 +1464,10 @@ function updateFireworks(frameTime, speed) {
                 }
             }
         }
-        
-        // Sparks更新
+    });
+    
+    // Sparks更新
+    Object.keys(Spark.active).forEach(color => {
         const sparks = Spark.active[color];
         for (let i = sparks.length - 1; i >= 0; i--) {
             const spark = sparks[i];
@@ -639,68 +1480,550 @@ function updateFireworks(frameTime, speed) {
                 spark.prevY = spark.y;
                 spark.x += spark.speedX * speed;
                 spark.y += spark.speedY * speed;
-                spark.speedX *= sparkDrag;
-                spark.speedY *= sparkDrag;
-                spark.speedY += gAcc;
+                applyDrag(spark, sparkDrag, wind);
+                spark.speedY += gAcc * spark.depthScale;
             }
         }
     });
+    
+    // Smoke更新（風に流され、ゆっくり昇りながら広がって薄れる）
+    const smokes = world.Smoke.active;
+    const smokeDrag = 1 - (1 - physics.drag.smoke) * speed;
+    const tintFade = Math.pow(SMOKE.tintFade, speed);
+    for (let i = smokes.length - 1; i >= 0; i--) {
+        const smoke = smokes[i];
+        smoke.life -= timeStep;
+        if (smoke.life <= 0) {
+            smokes.splice(i, 1);
+            world.Smoke.returnInstance(smoke);
+        } else {
+            smoke.prevX = smoke.x;
+            smoke.prevY = smoke.y;
+            smoke.x += smoke.speedX * speed;
+            smoke.y += (smoke.speedY - SMOKE.buoyancy * smoke.depthScale) * speed;
+            applyDrag(smoke, smokeDrag, wind);
+            smoke.radius += SMOKE.growth * smoke.depthScale * speed;
+            smoke.tintAmount *= tintFade;
+        }
+    }
 }
 
-// プリセット花火タイプ
-const crysanthemumShell = (size) => ({
+// プリセット花火タイプ（world: 色選択などの乱数源となるワールド）
+const crysanthemumShell = (size, world) => ({
     spreadSize: 300 + size * 100,
     starLife: 900 + size * 200,
     starCount: Math.round(75 + size * 25),
-    color: randomColor({ limitWhite: true }),
+    color: world.randomColor({ limitWhite: true }),
     glitter: 'light',
     glitterColor: COLOR.Gold
 });
 
-const ringShell = (size) => ({
+const ringShell = (size, world) => ({
     spreadSize: 300 + size * 100,
     starLife: 900 + size * 200,
-    starCount: Math.round(75 + size * 25),
-    color: randomColor({ limitWhite: true }),
+    starCount: Math.round(40 + size * 10),
+    color: world.randomColor({ limitWhite: true }),
     glitter: 'medium',
-    glitterColor: COLOR.White
+    glitterColor: COLOR.White,
+    shape: 'ring'
 });
 
-const willowShell = (size) => ({
+const willowShell = (size, world) => ({
     spreadSize: 300 + size * 100,
     starLife: 1400 + size * 300,
     starCount: Math.round(100 + size * 50),
-    color: randomColor({ limitWhite: true }),
+    color: world.randomColor({ limitWhite: true }),
     glitter: 'willow',
     glitterColor: COLOR.Gold
 });
 
-const palmShell = (size) => ({
+const palmShell = (size, world) => ({
     spreadSize: 250 + size * 75,
     starLife: 1800 + size * 200,
     starCount: Math.round(40 + size * 20),
-    color: randomColor({ limitWhite: true }),
+    color: world.randomColor({ limitWhite: true }),
     glitter: 'thick',
-    glitterColor: randomColor({ notColor: COLOR.White })
+    glitterColor: world.randomColor({ notColor: COLOR.White })
 });
 
-window.FireworksCore = {
+// ストロボ：寿命後半で点滅する
+const strobeShell = (size, world) => ({
+    spreadSize: 280 + size * 92,
+    starLife: 1100 + size * 200,
+    starLifeVariation: 0.4,
+    starCount: Math.round(60 + size * 20),
+    color: world.randomColor({ limitWhite: true }),
+    glitter: 'light',
+    glitterColor: COLOR.White,
+    strobe: true,
+    strobeColor: world.random() < 0.5 ? COLOR.White : null
+});
+
+// 変色菊：途中で別の色に変わる
+const colorChangeShell = (size, world) => {
+    const color = world.randomColor({ limitWhite: true });
+    return {
+        spreadSize: 300 + size * 100,
+        starLife: 1200 + size * 200,
+        starCount: Math.round(75 + size * 25),
+        color,
+        secondColor: world.randomColor({ limitWhite: true, notColor: color }),
+        glitter: 'light',
+        glitterColor: COLOR.Gold
+    };
+};
+
+// 芯入り牡丹：内側に別色の芯（ピストル）を持つ
+const peonyShell = (size, world) => {
+    const color = world.randomColor({ limitWhite: true });
+    return {
+        spreadSize: 300 + size * 100,
+        starLife: 900 + size * 200,
+        starCount: Math.round(75 + size * 25),
+        color,
+        pistil: true,
+        pistilColor: world.randomColor({ notColor: color })
+    };
+};
+
+// クロセット：星が四方に割れる
+const crossetteShell = (size, world) => {
+    const color = world.randomColor({ limitWhite: true });
+    return {
+        spreadSize: 300 + size * 100,
+        starLife: 750 + size * 160,
+        starLifeVariation: 0.4,
+        starCount: Math.round(40 + size * 12),
+        color,
+        crossette: true,
+        pistil: world.random() < 0.5,
+        pistilColor: world.randomColor({ notColor: color })
+    };
+};
+
+// 花雷：星の先で小さな花が開く
+const floralShell = (size, world) => ({
+    spreadSize: 300 + size * 120,
+    starLife: 500 + size * 50,
+    starLifeVariation: 0.5,
+    starCount: Math.round(12 + size * 3),
+    color: world.randomColor({ limitWhite: true }),
+    floral: true
+});
+
+// 蜂巣（クラックル）：星の先で金色の火花がはじける
+const crackleShell = (size, world) => {
+    const color = world.random() < 0.75 ? COLOR.Gold : world.randomColor({ limitWhite: true });
+    return {
+        spreadSize: 380 + size * 75,
+        starLife: 600 + size * 100,
+        starLifeVariation: 0.32,
+        starCount: Math.round(45 + size * 12),
+        color,
+        glitter: 'light',
+        glitterColor: COLOR.Gold,
+        crackle: true,
+        pistil: world.random() < 0.65,
+        pistilColor: world.randomColor({ notColor: color })
+    };
+};
+
+// 馬の尾：噴水のように垂れ下がる
+const horsetailShell = (size, world) => {
+    const color = world.randomColor({ limitWhite: true });
+    return {
+        spreadSize: 180 + size * 40,
+        starLife: 2200 + size * 300,
+        starCount: Math.round(30 + size * 10),
+        color,
+        horsetail: true,
+        glitter: 'medium',
+        glitterColor: world.random() < 0.5 ? COLOR.Gold : color
+    };
+};
+
+// 落葉：見えない星から金色の火花がひらひらと落ちる
+const fallingLeavesShell = (size, world) => ({
+    spreadSize: 300 + size * 120,
+    starLife: 500 + size * 50,
+    starLifeVariation: 0.5,
+    starCount: Math.round(12 + size * 3),
+    color: INVISIBLE,
+    glitter: 'medium',
+    glitterColor: COLOR.Gold,
+    fallingLeaves: true
+});
+
+// ゴースト：最初は見えず、途中から色が浮かび上がる
+const ghostShell = (size, world) => ({
+    ...crysanthemumShell(size, world),
+    starLife: (900 + size * 200) * 1.5,
+    color: INVISIBLE,
+    secondColor: world.randomColor({ notColor: COLOR.White }),
+    glitter: ''
+});
+
+// 割れ菊クラックル：クロセットで割れた子星がさらに火花ではじける
+const crossetteCrackleShell = (size, world) => ({
+    ...crossetteShell(size, world),
+    pistil: false,
+    effects: ['crossette', 'crackle']
+});
+
+// 回転花火：星がそろって同じ向きに回り、金色の尾で螺旋を描く
+const spinnerShell = (size, world) => ({
+    spreadSize: 260 + size * 80,
+    starLife: 1300 + size * 200,
+    starCount: Math.round(30 + size * 8),
+    color: world.randomColor({ limitWhite: true }),
+    glitter: 'medium',
+    glitterColor: COLOR.Gold,
+    spinRadius: 2.4,
+    spinSpeed: 0.35,
+    spinVariation: 0.2
+});
+
+// 蜂：小さな星がばらばらの向きに細かく回り、蜂の群れのように飛び回る
+const beeShell = (size, world) => ({
+    spreadSize: 220 + size * 70,
+    starLife: 1000 + size * 150,
+    starLifeVariation: 0.4,
+    starCount: Math.round(24 + size * 8),
+    color: world.random() < 0.5 ? COLOR.Gold : world.randomColor({ limitWhite: true }),
+    glitter: 'light',
+    glitterColor: COLOR.Gold,
+    spinRadius: 3.5,
+    spinSpeed: 1.4,
+    spinVariation: 0.8,
+    spinRandomDirection: true
+});
+
+// ハート：傾いたハート形に開く
+const heartShell = (size, world) => ({
+    spreadSize: 300 + size * 100,
+    starLife: 1000 + size * 200,
+    starCount: Math.round(50 + size * 12),
+    color: world.random() < 0.6 ? COLOR.Red : world.randomColor({ limitWhite: true }),
+    glitter: 'light',
+    glitterColor: COLOR.Gold,
+    shape: 'heart'
+});
+
+// 輪から牡丹：輪が開いたあと、輪の上で5つの小さな牡丹が開く
+const ringPeoniesShell = (size, world) => {
+    const color = world.randomColor({ limitWhite: true });
+    const peonyColor = world.randomColor({ limitWhite: true, notColor: color });
+    const radius = (300 + size * 100) * 0.3;
+    const breaks = [];
+    for (let i = 0; i < 5; i++) {
+        const angle = i / 5 * PI_2;
+        breaks.push({
+            delay: 700,
+            offset: { x: Math.sin(angle) * radius, y: Math.cos(angle) * radius },
+            shell: { spreadSize: 120 + size * 30, starLife: 700 + size * 100, color: peonyColor }
+        });
+    }
+    return {
+        ...ringShell(size, world),
+        color,
+        breaks
+    };
+};
+
+// 三段変化：同じ場所で色を変えながら3回開く
+const threeStageShell = (size, world) => {
+    const first = world.randomColor({ limitWhite: true });
+    const second = world.randomColor({ limitWhite: true, notColor: first });
+    const third = world.randomColor({ notColor: second });
+    return {
+        spreadSize: 200 + size * 70,
+        starLife: 700 + size * 120,
+        starCount: Math.round(50 + size * 15),
+        color: first,
+        glitter: 'light',
+        glitterColor: COLOR.Gold,
+        breaks: [
+            { delay: 600, shell: { spreadSize: 260 + size * 85, color: second } },
+            { delay: 1200, shell: { spreadSize: 320 + size * 100, color: third, glitter: 'medium' } }
+        ]
+    };
+};
+
+// 花火タイプのレジストリ（名前 → (size, world) => シェル設定）
+// 新しいタイプはこのオブジェクトに追加すると createFirework から名前で使える
+const shellTypes = {
+    crysanthemum: crysanthemumShell,
+    ring: ringShell,
+    willow: willowShell,
+    palm: palmShell,
+    peony: peonyShell,
+    strobe: strobeShell,
+    colorChange: colorChangeShell,
+    crossette: crossetteShell,
+    crossetteCrackle: crossetteCrackleShell,
+    floral: floralShell,
+    crackle: crackleShell,
+    horsetail: horsetailShell,
+    fallingLeaves: fallingLeavesShell,
+    ghost: ghostShell,
+    heart: heartShell,
+    spinner: spinnerShell,
+    bee: beeShell,
+    ringPeonies: ringPeoniesShell,
+    threeStage: threeStageShell
+};
+
+// 同時存在数の上限の指定（null・undefined は無制限）
+function toLimit(value) {
+    return value === null || value === undefined ? Infinity : value;
+}
+
+/**
+ * FireworksWorld - シミュレーション空間
+ * パーティクルのプール・アクティブリスト・フレームカウンター・乱数源をインスタンスごとに所有する
+ * 同じページに複数のアプリがあっても互いのパーティクルが混ざらない
+ *   options.seed: 乱数シード（省略時は Math.random）
+ *   options.physicsRate: 物理演算の固定ステップ数（Hz、省略時は PHYSICS_RATE）
+ *   options.starCountScale: 星の数の倍率（品質設定用、省略時は 1）
+ *   options.sparkFreqScale: 火花の発生頻度の倍率（品質設定用、省略時は 1）
+ *   options.maxStars / options.maxSparks: 同時に存在できる Star / Spark 数の上限（省略時は無制限）
+ *   options.palette: randomColor で使う色（COLOR の名前またはカラーコードの配列、省略時は全色）
+ */
+class FireworksWorld {
+    constructor(options = {}) {
+        this.frame = 0;
+        this.lastColor = null;
+        this.random = Math.random;
+        this.palette = COLOR_CODES;
+        
+        // 固定タイムステップ（描画レートに関係なく同じ軌道になる）
+        this.stepTime = 1000 / (options.physicsRate || PHYSICS_RATE);
+        this.accumulator = 0;
+        this.alpha = 0;
+        
+        // 描画品質に応じた発生量（次の爆発・次の火花から反映）
+        this.starCountScale = options.starCountScale || 1;
+        this.sparkFreqScale = options.sparkFreqScale || 1;
+        
+        this.Star = createStarSystem(this);
+        this.Spark = createSparkSystem(this);
+        this.BurstFlash = createBurstFlashSystem();
+        this.Smoke = createSmokeSystem();
+        
+        // 煙の量
+        this.Smoke.density = options.smokeDensity !== undefined ? options.smokeDensity : 1;
+        
+        // 重力・空気抵抗・風（wind は現在の風のベクトル、突風を含めてステップごとに更新）
+        this.time = 0; // シミュレーション時間(ms)
+        this.scheduled = []; // world.schedule の予定（時刻順）
+        this.physics = mergePhysics(DEFAULT_PHYSICS, options.physics);
+        this.wind = { x: 0, y: 0 };
+        updateWind(this);
+        
+        this.setLimits(options);
+        this.setPalette(options.palette);
+        
+        if (options.seed !== undefined && options.seed !== null) {
+            this.seed(options.seed);
+        }
+    }
+    
+    // シード付きの再現可能な乱数系列に切り替え（null で Math.random に戻す）
+    seed(seed) {
+        this.setRandomSource(seed === null || seed === undefined ? null : createSeededRandom(seed));
+    }
+    
+    setRandomSource(source) {
+        this.random = source || Math.random;
+        this.lastColor = null;
+    }
+    
+    /**
+     * randomColor で使う色を制限（null・省略で組み込みの6色に戻す）
+     * colors: PALETTES の名前（'sakura'）、または COLOR の名前（'Red'）・CSS の色（'#ffb7c5', 'hsl(340, 80%, 70%)'）の配列
+     */
+    setPalette(colors) {
+        this.palette = resolvePalette(colors);
+    }
+    
+    // ランダム色選択（palette の中から）
+    randomColor(options = {}) {
+        const notSame = options.notSame;
+        const notColor = options.notColor;
+        const limitWhite = options.limitWhite;
+        const palette = this.palette;
+        let color = randomColorSimple(this.random, palette);
+        
+        // 白の選択頻度を制限
+        if (limitWhite && color === COLOR.White && this.random() < 0.6) {
+            color = randomColorSimple(this.random, palette);
+        }
+        
+        // 1色だけのパレットでは除外しようがないのでそのまま
+        if (notSame && palette.length > 1) {
+            while (color === this.lastColor) {
+                color = randomColorSimple(this.random, palette);
+            }
+        }
+        
+        if (notColor && palette.some(code => code !== notColor)) {
+            while (color === notColor) {
+                color = randomColorSimple(this.random, palette);
+            }
+        }
+        
+        this.lastColor = color;
+        return color;
+    }
+    
+    createShell(options) {
+        return new Shell(options, this);
+    }
+    
+    update(frameTime, speed) {
+        updateFireworks(this, frameTime, speed);
+    }
+    
+    /**
+     * 経過時間を固定ステップで消化する
+     * 消化しきれなかった端数は描画用の補間係数 alpha（0〜1）として返す
+     * 描画側は prevX + (x - prevX) * alpha の位置に描く
+     */
+    advance(elapsed) {
+        const speed = this.stepTime / BASE_FRAME_TIME;
+        
+        this.accumulator = Math.min(this.accumulator + elapsed, MAX_FRAME_TIME);
+        while (this.accumulator >= this.stepTime) {
+            this.update(this.stepTime, speed);
+            this.accumulator -= this.stepTime;
+        }
+        
+        this.alpha = this.accumulator / this.stepTime;
+        return this.alpha;
+    }
+    
+    /**
+     * シミュレーション時間で delay(ms) 後に callback を実行する
+     * 一時停止中は進まず、スローモーションではゆっくり進む（clear で取り消される）
+     * callback の例外は console.error で報告し、他の予定とシミュレーションはそのまま続ける
+     */
+    schedule(delay, callback) {
+        const time = this.time + delay;
+        let index = this.scheduled.length;
+        while (index > 0 && this.scheduled[index - 1].time > time) {
+            index--;
+        }
+        this.scheduled.splice(index, 0, { time, callback });
+    }
+    
+    /**
+     * 物理パラメータを変更（指定した項目だけ、次のステップから反映）
+     * physics: { gravity, drag: { star, starHeavy, spark, smoke }, wind: { direction, strength, gust, gustPeriod } }
+     * null で既定値に戻す
+     */
+    setPhysics(physics) {
+        this.physics = physics ? mergePhysics(this.physics, physics) : mergePhysics(DEFAULT_PHYSICS);
+        updateWind(this);
+    }
+    
+    // Star / Spark / Smoke の同時存在数の上限を設定（null・省略で無制限、0 なら出さない、既存のパーティクルは消さない）
+    setLimits({ maxStars, maxSparks, maxSmoke } = {}) {
+        this.Star.limit = toLimit(maxStars);
+        this.Spark.limit = toLimit(maxSparks);
+        this.Smoke.limit = toLimit(maxSmoke);
+    }
+    
+    // 全パーティクルをプールに戻し、schedule の予定を取り消す（onDeath・死亡時エフェクトは実行しない）
+    clear() {
+        [this.Star, this.Spark].forEach(system => {
+            Object.keys(system.active).forEach(color => {
+                const particles = system.active[color];
+                while (particles.length) {
+                    const particle = particles.pop();
+                    particle.onDeath = null;
+                    particle.effectStages = null;
+                    system.returnInstance(particle);
+                }
+            });
+        });
+        
+        [this.BurstFlash, this.Smoke].forEach(system => {
+            while (system.active.length) {
+                system.returnInstance(system.active.pop());
+            }
+        });
+        
+        this.scheduled.length = 0;
+        this.accumulator = 0;
+    }
+    
+    // パーティクルとプールを解放
+    destroy() {
+        this.clear();
+        this.Star._pool.length = 0;
+        this.Spark._pool.length = 0;
+        this.BurstFlash._pool.length = 0;
+        this.Smoke._pool.length = 0;
+    }
+}
+
+// 公開API（DOM 非依存：ブラウザでは fireworks-browser.js が window に接続する）
+const FireworksCore = {
     COLOR,
     COLOR_CODES,
     INVISIBLE,
-    Star,
-    Spark,
+    PALETTES,
+    resolvePalette,
+    BASE_FRAME_TIME,
+    PHYSICS_RATE,
+    DEFAULT_PHYSICS,
+    DEPTH,
+    lerpDepth,
+    getDepthScale,
+    getDepthProfile,
+    resolveDepth,
+    createSeededRandom,
+    FireworksWorld,
     Shell,
-    BurstFlash,
-    updateFireworks,
+    GLITTER_MODES,
     createBurst,
     createParticleArc,
-    randomColor,
     crysanthemumShell,
     ringShell,
     willowShell,
     palmShell,
+    strobeShell,
+    colorChangeShell,
+    peonyShell,
+    crossetteShell,
+    floralShell,
+    crackleShell,
+    horsetailShell,
+    fallingLeavesShell,
+    ghostShell,
+    crossetteCrackleShell,
+    heartShell,
+    spinnerShell,
+    beeShell,
+    ringPeoniesShell,
+    threeStageShell,
+    shellTypes,
+    SHAPES,
+    createShapeBurst,
+    resolveShape,
+    setShapeRasterizer,
+    DEATH_EFFECTS,
+    EFFECT_LIMITS,
+    BREAK_LIMITS,
+    SMOKE,
+    parseRgbColor,
+    setColorResolver,
     generateColorVariation,
     generateFlameGradient,
     interpolateColorEvolution
-}; 
\ No newline at end of file
+};
+
+// CommonJS（Node）向けエクスポート、ES モジュールは fireworks-core.mjs から利用する
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FireworksCore;
+}
@@ -0,0 +1,62 @@
+/**
+ * Fireworks Core - ES モジュール版エントリーポイント
+ * 実体は fireworks-core.js（CommonJS）で、ここでは名前付きエクスポートに展開する
+ */
+import FireworksCore from './fireworks-core.js';
+
+export const {
+    COLOR,
+    COLOR_CODES,
+    INVISIBLE,
+    PALETTES,
+    resolvePalette,
+    BASE_FRAME_TIME,
+    PHYSICS_RATE,
+    DEFAULT_PHYSICS,
+    DEPTH,
+    lerpDepth,
+    getDepthScale,
+    getDepthProfile,
+    resolveDepth,
+    createSeededRandom,
+    FireworksWorld,
+    Shell,
+    GLITTER_MODES,
+    createBurst,
+    createParticleArc,
+    crysanthemumShell,
+    ringShell,
+    willowShell,
+    palmShell,
+    strobeShell,
+    colorChangeShell,
+    peonyShell,
+    crossetteShell,
+    floralShell,
+    crackleShell,
+    horsetailShell,
+    fallingLeavesShell,
+    ghostShell,
+    crossetteCrackleShell,
+    heartShell,
+    spinnerShell,
+    beeShell,
+    ringPeoniesShell,
+    threeStageShell,
+    shellTypes,
+    SHAPES,
+    createShapeBurst,
+    resolveShape,
+    setShapeRasterizer,
+    DEATH_EFFECTS,
+    EFFECT_LIMITS,
+    BREAK_LIMITS,
+    SMOKE,
+    parseRgbColor,
+    setColorResolver,
+    generateColorVariation,
+    generateFlameGradient,
+    interpolateColorEvolution
+} = FireworksCore;
+
+export default FireworksCore;
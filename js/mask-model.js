@@ -0,0 +1,539 @@
+/**
+ * MaskModel - 表示サイズにスケールしたマスクの解析結果
+ * リサイズ時に1度だけ作成し、当たり判定・ランダム位置の選択・描画時のマスク合成で使い回す
+ * 名前付き領域（左右の瞳、映り込みなど）を連結成分または色チャンネルから検出できる
+ * マスクは画像（fromImage）のほか、パス・多角形・楕円のベクター定義（fromShapes）からも作成できる
+ * アルファ値は0/1ではなく濃淡として扱い、境界のぼかし・発生位置の重み付け・虹彩リングの減光に使う
+ */
+
+const MASK_MIN_ALPHA = 16; // このアルファ値を超える画素を有効領域とみなす（ほぼ透明な画素は無視）
+const MASK_THRESHOLD = 128; // 色チャンネル・領域の層で領域に含めるかの閾値
+const MASK_SAMPLE_STEP = 2; // 有効位置を収集する間隔(px)
+const MASK_IRIS_EDGE = 0.1; // 虹彩リングの境界をなめらかにする幅（距離比）
+const MASK_CHANNEL_OFFSET = { r: 0, g: 1, b: 2 };
+
+// ベクターマスクの図形を Path2D に変換（座標はマスク定義の座標系）
+function createMaskShapePath(shape) {
+    const path = new Path2D();
+
+    switch (shape.type) {
+        case 'path':
+            path.addPath(new Path2D(shape.d));
+            break;
+        case 'polygon':
+            shape.points.forEach(([x, y], i) => {
+                if (i === 0) {
+                    path.moveTo(x, y);
+                } else {
+                    path.lineTo(x, y);
+                }
+            });
+            path.closePath();
+            break;
+        case 'ellipse':
+            path.ellipse(shape.cx, shape.cy, shape.rx, shape.ry, (shape.rotation || 0) * Math.PI / 180, 0, Math.PI * 2);
+            break;
+        default:
+            throw new Error(`Unknown mask shape type: ${shape.type}`);
+    }
+
+    return path;
+}
+
+// 描画済みキャンバスから RGBA の画素データとアルファ値だけの配列を取り出す
+function readMaskPixels(ctx, width, height) {
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+    const alpha = new Uint8ClampedArray(width * height);
+    for (let i = 0; i < alpha.length; i++) {
+        alpha[i] = pixels[i * 4 + 3];
+    }
+    return { pixels, alpha };
+}
+
+// アルファ値を水平・垂直のボックスブラー3回でぼかす（ガウスぼかしの近似、radius は全体の広がり）
+function blurMaskAlpha(alpha, width, height, radius) {
+    const boxRadius = Math.max(1, Math.round(radius / 3));
+    let source = Float32Array.from(alpha);
+    let target = new Float32Array(alpha.length);
+
+    const blurLine = (start, stride, length) => {
+        const size = boxRadius * 2 + 1;
+        let sum = 0;
+        for (let i = -boxRadius; i <= boxRadius; i++) {
+            sum += source[start + Math.min(length - 1, Math.max(0, i)) * stride];
+        }
+        for (let i = 0; i < length; i++) {
+            target[start + i * stride] = sum / size;
+            const add = Math.min(length - 1, i + boxRadius + 1);
+            const remove = Math.max(0, i - boxRadius);
+            sum += source[start + add * stride] - source[start + remove * stride];
+        }
+    };
+
+    for (let pass = 0; pass < 3; pass++) {
+        for (let y = 0; y < height; y++) blurLine(y * width, 1, width);
+        [source, target] = [target, source];
+        for (let x = 0; x < width; x++) blurLine(x, width, height);
+        [source, target] = [target, source];
+    }
+
+    return Uint8ClampedArray.from(source);
+}
+
+// 重み付きランダム選択用のエイリアステーブル（Vose 法、1回の選択が O(1)）
+function createAliasTable(weights) {
+    const count = weights.length;
+    const prob = new Float32Array(count);
+    const alias = new Int32Array(count);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const scaled = weights.map(weight => weight * count / total);
+    const small = [];
+    const large = [];
+
+    scaled.forEach((value, i) => (value < 1 ? small : large).push(i));
+    while (small.length && large.length) {
+        const less = small.pop();
+        const more = large.pop();
+        prob[less] = scaled[less];
+        alias[less] = more;
+        scaled[more] += scaled[less] - 1;
+        (scaled[more] < 1 ? small : large).push(more);
+    }
+    large.concat(small).forEach(i => {
+        prob[i] = 1;
+    });
+
+    return { prob, alias };
+}
+
+/**
+ * 有効位置の一覧（x, y の組を詰めた配列）からバウンディングボックスと重心を求める
+ * weights を渡すと発生位置の重み付き選択用のテーブルも作る（全て同じ重みなら作らない）
+ */
+function summarizeMaskPositions(positions, weights = null) {
+    const count = positions.length / 2;
+    if (!count) {
+        return { positions: new Int32Array(0), bounds: null, centroid: null, sampler: null };
+    }
+
+    let left = Infinity, top = Infinity, right = -1, bottom = -1;
+    let sumX = 0, sumY = 0;
+    for (let i = 0; i < positions.length; i += 2) {
+        const x = positions[i];
+        const y = positions[i + 1];
+        sumX += x;
+        sumY += y;
+        if (x < left) left = x;
+        if (x > right) right = x;
+        if (y < top) top = y;
+        if (y > bottom) bottom = y;
+    }
+
+    const weighted = weights && weights.some(weight => weight !== weights[0]);
+
+    return {
+        positions: new Int32Array(positions),
+        bounds: { left, top, right, bottom },
+        centroid: { x: sumX / count, y: sumY / count },
+        sampler: weighted ? createAliasTable(weights) : null
+    };
+}
+
+// 有効位置の一覧から重複なしで count 個を選ぶ（sampler があれば重み付き）
+function pickMaskPositions({ positions, sampler }, count, random) {
+    const total = positions.length / 2;
+    const picked = new Set();
+    const result = [];
+    const goal = Math.min(count, total);
+
+    // 重みの偏りが大きいと重複ばかりになるので試行回数に上限を設け、残りは均等に選ぶ
+    let attempts = 0;
+    while (result.length < goal) {
+        let index = Math.floor(random() * total);
+        if (sampler && attempts++ < goal * 50 && random() >= sampler.prob[index]) {
+            index = sampler.alias[index];
+        }
+        if (picked.has(index)) continue;
+        picked.add(index);
+        result.push({ x: positions[index * 2], y: positions[index * 2 + 1] });
+    }
+
+    return result;
+}
+
+class MaskModel {
+    /**
+     * alpha: 画素ごとのアルファ値（width * height）
+     * options.canvas: 表示サイズに描画済みのマスク（描画時の合成用）
+     * options.pixels: RGBA の画素データ（色チャンネルで領域を分ける場合に必要）
+     * options.regions: 名前付き領域の検出方法（省略時は領域なし）
+     *   { mode: 'components', names: ['leftEye', 'rightEye'], minArea: 20 }
+     *     つながった領域を左から順に names の名前で登録（名前が足りない分は region2, region3...）
+     *     minArea（有効位置の数）未満の小さな領域はノイズとして無視
+     *   { mode: 'channels', channels: { leftEye: 'r', rightEye: 'g', reflection: 'b' } }
+     *     指定チャンネルの値が閾値を超える画素をその領域とする（先に書いた領域が優先）
+     *   { mode: 'layers', layers: [{ name, alpha }] }
+     *     領域ごとのアルファ値から分ける（fromShapes が図形の region 指定から作成、先の層が優先）
+     * options.feather: 境界をぼかす半径(px)、0 ならマスクのアルファ値そのまま
+     * options.spawnWeighting: 発生位置をアルファ値で重み付けする強さ（重み = alpha ^ spawnWeighting）
+     *   0 なら有効領域内で均等、大きいほど不透明な部分（瞳の中心）に集中（省略時は 1）
+     * options.iris: 虹彩リング { inner, outer, opacity }
+     *   領域（なければマスク全体）の重心からの距離比 inner〜outer の帯で花火を opacity 倍に減光
+     *   距離比は重心からバウンディングボックスの端までを 1 とした楕円距離
+     */
+    constructor(alpha, width, height, options = {}) {
+        this.alpha = options.feather ? blurMaskAlpha(alpha, width, height, options.feather) : alpha;
+        this.width = width;
+        this.height = height;
+        this.canvas = options.canvas || null;
+        this.spawnWeighting = options.spawnWeighting !== undefined ? options.spawnWeighting : 1;
+
+        // 描画時の合成に使うアルファ値（虹彩リングの減光を含む）
+        this.renderAlpha = this.alpha;
+        this.needsPaint = Boolean(options.feather || options.iris); // 描画用キャンバスの描き直しが必要か
+
+        // 有効位置の索引（x, y の組を詰めた配列、ランダム選択を O(1) にする）
+        this.positions = null;
+        this.bounds = null; // { left, top, right, bottom }、有効領域がなければ null
+        this.centroid = null; // { x, y }、有効領域がなければ null
+
+        // 名前付き領域 { name, positions, bounds, centroid }（components は左から順、それ以外は定義順）
+        this.regions = [];
+        this.gridWidth = Math.ceil(width / MASK_SAMPLE_STEP);
+        this.gridHeight = Math.ceil(height / MASK_SAMPLE_STEP);
+        this.labels = null; // 収集間隔の格子ごとの領域番号（-1 は領域外）
+
+        this.analyze();
+
+        if (options.regions) {
+            this.detectRegions(options.regions, options.pixels);
+        }
+
+        if (options.iris) {
+            this.renderAlpha = this.applyIris(options.iris);
+        }
+    }
+
+    // 画像を表示サイズに描画してモデルを作成
+    static fromImage(image, width, height, options = {}) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, width, height);
+
+        const { pixels, alpha } = readMaskPixels(ctx, width, height);
+        return new MaskModel(alpha, width, height, { ...options, canvas, pixels }).paint();
+    }
+
+    /**
+     * ベクター定義を表示サイズで塗りつぶしてモデルを作成（リサイズしても輪郭がぼけない）
+     * definition: { width, height, shapes }
+     *   width / height: 図形の座標系の大きさ（背景画像のピクセル座標など）、表示サイズに合わせて拡大縮小
+     *   shapes: 図形の配列（すべての図形の和集合が有効領域）
+     *     { type: 'path', d: 'M 10 10 L ...', fillRule: 'evenodd' } SVG のパス文字列
+     *     { type: 'polygon', points: [[x, y], ...] }
+     *     { type: 'ellipse', cx, cy, rx, ry, rotation } rotation は度
+     *   各図形に region: 'leftEye' を付けると名前付き領域になる（options.regions 省略時）
+     */
+    static fromShapes(definition, width, height, options = {}) {
+        const scaleX = width / definition.width;
+        const scaleY = height / definition.height;
+        const shapes = definition.shapes.map(shape => ({ shape, path: createMaskShapePath(shape) }));
+
+        const rasterize = (entries) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.setTransform(scaleX, 0, 0, scaleY, 0, 0);
+            ctx.fillStyle = '#ffffff';
+            entries.forEach(({ shape, path }) => ctx.fill(path, shape.fillRule || 'nonzero'));
+
+            return { canvas, alpha: readMaskPixels(ctx, width, height).alpha };
+        };
+
+        const { canvas, alpha } = rasterize(shapes);
+
+        // 図形の region 指定から領域の層を作る
+        let regions = options.regions;
+        const regionNames = [...new Set(definition.shapes.map(shape => shape.region).filter(Boolean))];
+        if (!regions && regionNames.length) {
+            regions = {
+                mode: 'layers',
+                layers: regionNames.map(name => ({
+                    name,
+                    alpha: rasterize(shapes.filter(({ shape }) => shape.region === name)).alpha
+                }))
+            };
+        }
+
+        return new MaskModel(alpha, width, height, { ...options, canvas, regions }).paint();
+    }
+
+    // ぼかし・虹彩リングで変わったアルファ値を描画用キャンバスに反映
+    paint() {
+        if (!this.canvas || !this.needsPaint) {
+            return this;
+        }
+
+        const ctx = this.canvas.getContext('2d');
+        const image = ctx.createImageData(this.width, this.height);
+        for (let i = 0; i < this.renderAlpha.length; i++) {
+            image.data[i * 4] = 255;
+            image.data[i * 4 + 1] = 255;
+            image.data[i * 4 + 2] = 255;
+            image.data[i * 4 + 3] = this.renderAlpha[i];
+        }
+        ctx.putImageData(image, 0, 0);
+        return this;
+    }
+
+    // 有効位置・バウンディングボックス・重心を収集
+    analyze() {
+        const { alpha, width, height } = this;
+        const positions = [];
+
+        for (let y = 0; y < height; y += MASK_SAMPLE_STEP) {
+            for (let x = 0; x < width; x += MASK_SAMPLE_STEP) {
+                if (alpha[y * width + x] > MASK_MIN_ALPHA) {
+                    positions.push(x, y);
+                }
+            }
+        }
+
+        Object.assign(this, summarizeMaskPositions(positions, this.spawnWeights(positions)));
+    }
+
+    // 有効位置ごとの発生の重み（アルファ値 ^ spawnWeighting）
+    spawnWeights(positions) {
+        const weights = [];
+        for (let i = 0; i < positions.length; i += 2) {
+            const alpha = this.alpha[positions[i + 1] * this.width + positions[i]] / 255;
+            weights.push(Math.pow(alpha, this.spawnWeighting));
+        }
+        return weights;
+    }
+
+    // 虹彩リングの帯を減光したアルファ値を作る
+    applyIris({ inner = 0.6, outer = 1, opacity = 0.5 }) {
+        const { alpha, width, height, gridWidth } = this;
+        const result = new Uint8ClampedArray(alpha);
+
+        // 距離比の基準（領域ごと、領域外はマスク全体）
+        const toFrame = area => area && area.bounds ? {
+            x: area.centroid.x,
+            y: area.centroid.y,
+            rx: Math.max(1, (area.bounds.right - area.bounds.left) / 2),
+            ry: Math.max(1, (area.bounds.bottom - area.bounds.top) / 2)
+        } : null;
+        const whole = toFrame(this);
+        const frames = this.regions.map(toFrame);
+        if (!whole) return result;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                if (!alpha[index]) continue;
+
+                const label = this.labels ? this.labels[Math.floor(y / MASK_SAMPLE_STEP) * gridWidth + Math.floor(x / MASK_SAMPLE_STEP)] : -1;
+                const frame = (label >= 0 && frames[label]) || whole;
+                const distance = Math.hypot((x - frame.x) / frame.rx, (y - frame.y) / frame.ry);
+
+                // 帯の内側の境界と外側の境界をなめらかにつなぐ
+                const enter = Math.min(1, Math.max(0, (distance - inner) / MASK_IRIS_EDGE + 0.5));
+                const leave = Math.min(1, Math.max(0, (outer - distance) / MASK_IRIS_EDGE + 0.5));
+                const band = Math.min(enter, leave);
+                result[index] = alpha[index] * (1 - band * (1 - opacity));
+            }
+        }
+
+        return result;
+    }
+
+    detectRegions(definition, pixels) {
+        const { width, gridWidth, gridHeight } = this;
+        const labels = new Int16Array(gridWidth * gridHeight).fill(-1);
+        let groups;
+
+        if (definition.mode === 'channels') {
+            if (!pixels) {
+                throw new Error('Channel mask regions require RGBA pixel data');
+            }
+
+            const entries = Object.entries(definition.channels || {});
+            groups = entries.map(([name]) => ({ name, positions: [] }));
+
+            for (let gy = 0; gy < gridHeight; gy++) {
+                for (let gx = 0; gx < gridWidth; gx++) {
+                    const x = gx * MASK_SAMPLE_STEP;
+                    const y = gy * MASK_SAMPLE_STEP;
+                    const index = y * width + x;
+                    if (this.alpha[index] <= MASK_MIN_ALPHA) continue;
+
+                    const found = entries.findIndex(([, channel]) => {
+                        return pixels[index * 4 + MASK_CHANNEL_OFFSET[channel]] > MASK_THRESHOLD;
+                    });
+                    if (found < 0) continue;
+
+                    labels[gy * gridWidth + gx] = found;
+                    groups[found].positions.push(x, y);
+                }
+            }
+        } else if (definition.mode === 'layers') {
+            const layers = definition.layers || [];
+            groups = layers.map(layer => ({ name: layer.name, positions: [] }));
+
+            for (let gy = 0; gy < gridHeight; gy++) {
+                for (let gx = 0; gx < gridWidth; gx++) {
+                    const x = gx * MASK_SAMPLE_STEP;
+                    const y = gy * MASK_SAMPLE_STEP;
+                    const index = y * width + x;
+                    if (this.alpha[index] <= MASK_MIN_ALPHA) continue;
+
+                    const found = layers.findIndex(layer => layer.alpha[index] > MASK_THRESHOLD);
+                    if (found < 0) continue;
+
+                    labels[gy * gridWidth + gx] = found;
+                    groups[found].positions.push(x, y);
+                }
+            }
+        } else if (definition.mode === 'components') {
+            groups = this.findComponents(labels, definition.minArea || 20);
+            const names = definition.names || [];
+            groups.forEach((group, i) => {
+                group.name = names[i] || `region${i}`;
+            });
+        } else {
+            throw new Error(`Unknown mask region mode: ${definition.mode}`);
+        }
+
+        this.labels = labels;
+        this.regions = groups.map(group => ({
+            name: group.name,
+            ...summarizeMaskPositions(group.positions, this.spawnWeights(group.positions))
+        }));
+    }
+
+    // 収集間隔の格子上で8近傍につながった有効位置をまとめる（左から順、小さすぎるものは除外）
+    findComponents(labels, minArea) {
+        const { width, gridWidth, gridHeight } = this;
+        const visited = new Uint8Array(gridWidth * gridHeight);
+        const components = [];
+        const isValid = (gx, gy) => this.alpha[gy * MASK_SAMPLE_STEP * width + gx * MASK_SAMPLE_STEP] > MASK_MIN_ALPHA;
+
+        for (let start = 0; start < visited.length; start++) {
+            if (visited[start] || !isValid(start % gridWidth, Math.floor(start / gridWidth))) continue;
+
+            const cells = [];
+            const queue = [start];
+            visited[start] = 1;
+            while (queue.length) {
+                const cell = queue.pop();
+                const gx = cell % gridWidth;
+                const gy = Math.floor(cell / gridWidth);
+                cells.push(cell);
+
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = gx + dx;
+                        const ny = gy + dy;
+                        if (nx < 0 || ny < 0 || nx >= gridWidth || ny >= gridHeight) continue;
+                        const next = ny * gridWidth + nx;
+                        if (visited[next] || !isValid(nx, ny)) continue;
+                        visited[next] = 1;
+                        queue.push(next);
+                    }
+                }
+            }
+
+            if (cells.length >= minArea) {
+                components.push(cells);
+            }
+        }
+
+        // 重心の x 座標で左から並べる
+        const groups = components.map(cells => {
+            const positions = [];
+            let sumX = 0;
+            cells.forEach(cell => {
+                const x = (cell % gridWidth) * MASK_SAMPLE_STEP;
+                positions.push(x, Math.floor(cell / gridWidth) * MASK_SAMPLE_STEP);
+                sumX += x;
+            });
+            return { cells, positions, centerX: sumX / cells.length };
+        });
+        groups.sort((a, b) => a.centerX - b.centerX);
+
+        groups.forEach((group, i) => {
+            group.cells.forEach(cell => {
+                labels[cell] = i;
+            });
+        });
+        return groups;
+    }
+
+    get positionCount() {
+        return this.positions.length / 2;
+    }
+
+    // 指定座標のアルファ値（画面外は 0）
+    alphaAt(x, y) {
+        x = Math.floor(x);
+        y = Math.floor(y);
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) {
+            return 0;
+        }
+        return this.alpha[y * this.width + x];
+    }
+
+    contains(x, y) {
+        return this.alphaAt(x, y) > MASK_MIN_ALPHA;
+    }
+
+    getRegion(name) {
+        return this.regions.find(region => region.name === name) || null;
+    }
+
+    // 指定座標を含む領域（なければ null）
+    regionAt(x, y) {
+        if (!this.labels || !this.contains(x, y)) {
+            return null;
+        }
+        const gx = Math.floor(x / MASK_SAMPLE_STEP);
+        const gy = Math.floor(y / MASK_SAMPLE_STEP);
+        const label = this.labels[gy * this.gridWidth + gx];
+        return label >= 0 ? this.regions[label] : null;
+    }
+
+    /**
+     * 有効領域から重複なしで count 個の位置を選ぶ（有効位置が足りなければその数まで）
+     * regionName を指定するとその領域の中から選ぶ（存在しない領域なら空配列）
+     */
+    randomPositions(count, random = Math.random, regionName = null) {
+        if (regionName) {
+            const region = this.getRegion(regionName);
+            return region ? pickMaskPositions(region, count, random) : [];
+        }
+        return pickMaskPositions(this, count, random);
+    }
+
+    /**
+     * 2つの領域の間で座標を左右反転して写す（左目の位置 → 右目の対応する位置）
+     * 重心に近い方を写す元とし、写した先の座標を返す（領域が見つからなければ null）
+     */
+    mirrorPoint(x, y, pair) {
+        const regions = pair.map(name => this.getRegion(name));
+        if (regions.some(region => !region || !region.centroid)) {
+            return null;
+        }
+
+        const distance = region => Math.hypot(x - region.centroid.x, y - region.centroid.y);
+        const [source, target] = distance(regions[0]) <= distance(regions[1]) ? regions : [regions[1], regions[0]];
+
+        return {
+            x: target.centroid.x - (x - source.centroid.x),
+            y: target.centroid.y + (y - source.centroid.y)
+        };
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * PerformanceGovernor - フレーム時間を監視して描画負荷を段階的に調整
+ * 予算超過が続くと段階を1つ上げ、余裕のある状態が続くと1つ戻す
+ * 段階の内容は GOVERNOR_STEPS を参照（上の段階は下の段階の調整をすべて含む）
+ */
+
+// 負荷調整の段階（0 は調整なし）
+//   sparkFreqMultiplier: 火花の発生頻度の倍率 / skipGlow: 火花・顔グローの追加描画を省略
+//   maxDPR: DPR上限 / starCap: 同時に存在できる星の数の上限
+const GOVERNOR_STEPS = [
+    { name: 'full' },
+    { name: 'fewer-sparks', sparkFreqMultiplier: 0.5 },
+    { name: 'no-glow', skipGlow: true },
+    { name: 'low-dpr', maxDPR: 1 },
+    { name: 'star-cap', starCap: 800 }
+];
+
+class PerformanceGovernor {
+    /**
+     * options.budget: 1フレームの予算(ms)
+     * options.interval: 段階を判定する間隔(ms)
+     * options.restoreDelay: 段階を戻すまでに余裕が続く必要のある判定回数
+     */
+    constructor(options = {}) {
+        this.budget = options.budget || 1000 / 30;
+        this.interval = options.interval || 1000;
+        this.restoreDelay = options.restoreDelay || 3;
+        this.step = 0;
+        this.resetTiming();
+    }
+
+    get stepName() {
+        return GOVERNOR_STEPS[this.step].name;
+    }
+
+    // 計測値を破棄（一時停止からの復帰時など、間隔の空いたフレームを判定に含めない）
+    resetTiming() {
+        this.frameTime = this.budget;
+        this.workTime = 0;
+        this.elapsed = 0;
+        this.calmCount = 0;
+        this.skipNext = true; // 次の1フレームは停止中の時間を含むので数えない
+    }
+
+    /**
+     * 1フレーム分の計測値を記録し、段階が変わったら true を返す
+     * frameTime: 前フレームからの経過時間 / workTime: 更新と描画にかかった時間
+     */
+    sample(frameTime, workTime) {
+        if (this.skipNext) {
+            this.skipNext = false;
+            return false;
+        }
+        
+        // 平滑化（タブ復帰などの極端な値は予算の4倍で頭打ち）
+        this.frameTime += (Math.min(frameTime, this.budget * 4) - this.frameTime) * 0.1;
+        this.workTime += (workTime - this.workTime) * 0.1;
+
+        this.elapsed += frameTime;
+        if (this.elapsed < this.interval) return false;
+        this.elapsed = 0;
+
+        // 予算超過：1段階下げる
+        if (this.frameTime > this.budget * 1.2) {
+            this.calmCount = 0;
+            if (this.step < GOVERNOR_STEPS.length - 1) {
+                this.step++;
+                return true;
+            }
+            return false;
+        }
+
+        // 処理時間が予算の半分未満の状態が続いたら1段階戻す
+        if (this.step > 0 && this.workTime < this.budget * 0.5) {
+            this.calmCount++;
+            if (this.calmCount >= this.restoreDelay) {
+                this.calmCount = 0;
+                this.step--;
+                return true;
+            }
+        } else {
+            this.calmCount = 0;
+        }
+        return false;
+    }
+
+    // 段階を調整なしに戻す
+    reset() {
+        this.step = 0;
+        this.resetTiming();
+    }
+}
+
+// CommonJS（Node のテスト）向けエクスポート、ブラウザではグローバルのまま使う
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PerformanceGovernor, GOVERNOR_STEPS };
+}
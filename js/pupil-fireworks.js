@@ -1,3 +1,103 @@
+/**
+ * 描画品質プロファイル（config.quality で選択）
+ *   starCountScale: 1発あたりの星の数の倍率
+ *   sparkFreqScale: 火花の発生頻度の倍率
+ *   flameLayers: 星の描画層数（2: 外炎+内炎、1: 外炎のみ）
+ *   sparkGlow: 火花のグロー描画を行うか
+ *   faceLights: 顔を照らす爆発・星の集まりの光源の最大数（強い順）
+ *   trailFade: 30FPS基準1フレームあたりのトレイル減衰量
+ *   maxDPR: キャンバス解像度に使うデバイスピクセル比の上限
+ */
+const QUALITY_PROFILES = {
+    low: {
+        starCountScale: 0.6,
+        sparkFreqScale: 0.5,
+        flameLayers: 1,
+        sparkGlow: false,
+        faceLights: 2,
+        trailFade: 0.1,
+        maxDPR: 1
+    },
+    normal: {
+        starCountScale: 1,
+        sparkFreqScale: 1,
+        flameLayers: 2,
+        sparkGlow: true,
+        faceLights: 6,
+        trailFade: 0.05,
+        maxDPR: 2
+    },
+    high: {
+        starCountScale: 1.3,
+        sparkFreqScale: 1.5,
+        flameLayers: 2,
+        sparkGlow: true,
+        faceLights: 10,
+        trailFade: 0.03,
+        maxDPR: 3
+    }
+};
+
+/**
+ * 顔グローの照明色の計算
+ *   smoothing: 照明色が花火の色に追従する時定数(ms)
+ * 星ごとの重みは残り寿命の割合 × 奥行きの明るさ（奥の花火ほど顔への影響が小さい）
+ */
+const FACE_GLOW_COLOR = {
+    smoothing: 250
+};
+
+/**
+ * 顔を照らす光源
+ *   ambientRadius: 光源位置（lightSources・マスクの重心）の全体の光が半分になる距離（画面の長辺に対する比率）
+ *   burstLife: 爆発の光が消えるまでの時間(ms)
+ *   burstRadius: 爆発の光が半分になる距離（爆発フラッシュの半径に対する倍率）
+ *   clusterCell: 星の集まりをまとめるグリッドの大きさ（画面の短辺に対する比率）
+ *   clusterWeight: 星の集まりの光が最大になる重み（残り寿命の割合 × 奥行きの明るさ）の合計
+ */
+const FACE_LIGHT_SOURCES = {
+    ambientRadius: 0.25,
+    burstLife: 400,
+    burstRadius: 2,
+    clusterCell: 0.2,
+    clusterWeight: 60
+};
+
+/**
+ * 煙の見た目（動きは FireworksCore.SMOKE）
+ *   color: もやの色 / opacity: 発生直後の不透明度 / fadeIn: 現れるまでの時間(ms)
+ *   tintStrength: 爆発の光で色づく強さ / spriteSize: スプライトの解像度(px)
+ */
+const SMOKE_STYLE = {
+    color: 'rgb(150, 150, 165)',
+    opacity: 0.12,
+    fadeIn: 300,
+    tintStrength: 2.5,
+    spriteSize: 64
+};
+
+/**
+ * シーンマニフェスト（scenes/*.json）の項目と config のキーの対応
+ * マニフェストにない項目はアプリ作成時の config の値に戻る
+ */
+const SCENE_CONFIG_KEYS = {
+    background: 'backgroundImage',
+    mask: 'maskImage',
+    maskRegions: 'maskRegions',
+    maskFeather: 'maskFeather',
+    maskSpawnWeighting: 'maskSpawnWeighting',
+    maskIris: 'maskIris',
+    lights: 'lightSources',
+    lightMap: 'lightMap',
+    smokeDensity: 'smokeDensity',
+    physics: 'physics',
+    palette: 'palette',
+    shellTypes: 'shellTypes',
+    blendMode: 'blendMode'
+};
+
+const SCENE_DIRECTORY = 'scenes/'; // シーン名だけを指定したときの読み込み先
+
 /**
  * PupilFireworksApp - インタラクティブ瞳花火システム
  * マスキング、アセット管理、レンダリング、インタラクションを統合
@@ -8,20 +108,66 @@ class PupilFireworksApp {
             canvasWidth: 800,
             canvasHeight: 600,
             backgroundImage: 'assets/bg.png',
-            maskImage: 'assets/mask.png',
+            maskImage: 'assets/mask.png', // 画像のURL、またはベクター定義 { width, height, shapes }（MaskModel.fromShapes 参照）
             blendMode: 'screen',
             targetFPS: 60,
             fireworkSize: 2, // 0-4 のサイズ
             quality: 'normal', // 'low', 'normal', 'high'
+            adaptiveQuality: true, // フレーム時間に応じて描画負荷を自動で下げる
+            maxStars: 3000, // 同時に存在できる星の数の上限（null なら無制限）
+            maxSparks: 10000, // 同時に存在できる火花の数の上限（null なら無制限）
+            maxSmoke: 400, // 同時に存在できる煙の数の上限（null なら無制限）
+            smokeDensity: 1, // 爆発後に漂う煙の量の倍率（0 で煙なし）
+            physics: null, // 重力・空気抵抗・風 { gravity, drag, wind }（FireworksCore.DEFAULT_PHYSICS に重ねる）、null なら既定値
+            launch: true, // コメットの打ち上げフェーズを表示するか
+            launchOrigin: null, // 打ち上げ地点 { x, y }（0-1 の比率）、null なら瞳マスクの下端
+            shellTypes: null, // ランダムに使う花火タイプ名の配列、null なら全タイプ
+            seed: null, // 乱数シード（同じシードと入力なら同じ花火を再現）、null なら毎回ランダム
+            maskRegions: null, // マスクの名前付き領域の検出方法（MaskModel 参照）、null なら領域なし
+            maskFeather: 0, // マスク境界をぼかす半径(px)
+            maskSpawnWeighting: 1, // 発生位置をマスクの濃さで重み付けする強さ（0 で均等）
+            maskIris: null, // 虹彩リング { inner, outer, opacity }（重心からの距離比の帯で花火を減光）
+            lightSources: null, // 顔グローの光源位置 [{ x, y }]（0-1 の比率）、null ならマスクの重心
+            lightMap: null, // 顔の凹凸に沿った陰影用 { image: URL, type: 'normal' | 'height', strength }、null なら陰影なし
+            palette: null, // ランダムに使う色（パレット名、または COLOR の名前・CSS の色の配列）、null なら組み込みの6色
+            scene: null, // 起動時に読み込むシーン（名前、URL、またはマニフェスト）
+            targetRegion: null, // 花火を出す領域名、null ならマスク全体
+            mirrorRegions: null, // 同じ花火を左右反転して出す領域の組（例: ['leftEye', 'rightEye']）
             ...config
         };
         
+        this.config.shellTypes = this.filterShellTypes(this.config.shellTypes);
+        
+        // シーン切り替え時に、マニフェストにない項目を戻す先
+        this.baseConfig = { ...this.config };
+        this.currentScene = null;
+        
+        // インスタンス専用のシミュレーション空間（アプリとシミュレーションは world.random を共有）
+        this.world = new FireworksCore.FireworksWorld({
+            seed: this.config.seed,
+            palette: this.config.palette,
+            smokeDensity: this.config.smokeDensity,
+            physics: this.config.physics
+        });
+        
         // 状態管理
         this.isInitialized = false;
         this.isRunning = false;
         this.assets = {};
         this.lastFrameTime = 0;
         this.simulationSpeed = 1;
+        this.renderAlpha = 0;
+        this.quality = null; // 現在の品質プロファイル（applyQuality で設定）
+        this.streak = { x: 0, y: 0, tailX: 0, tailY: 0 };
+        
+        // 奥行きの段階ごとの描画対象と見え方（段階の中央の z で計算）
+        const depthBucketCount = FireworksCore.DEPTH.buckets;
+        this.depthBuckets = Array.from({ length: depthBucketCount }, () => ({ stars: [], sparks: [] }));
+        this.depthProfiles = this.depthBuckets.map((bucket, i) => FireworksCore.getDepthProfile((i + 0.5) / depthBucketCount));
+        this.glowColor = null; // 顔グローの照明色（花火の色に時間をかけて追従）
+        this.faceLighting = null; // 顔のライティング（initMaskingSystem で作成）
+        this.burstLights = []; // 減衰中の爆発の光
+        this.smokeSprites = new Map(); // 色ごとの煙のスプライト（getSmokeSprite で作成）
         
         // キャンバス関連
         this.stages = {};
@@ -31,6 +177,9 @@ class PupilFireworksApp {
         // アスペクト比管理
         this.aspectRatio = 4 / 3; // デフォルト
         
+        // 表示サイズにスケールしたマスクの解析結果（リサイズ時に作成）
+        this.maskModel = null;
+        
         // パフォーマンス監視
         this.fpsCounter = {
             frames: 0,
@@ -41,6 +190,11 @@ class PupilFireworksApp {
         // パフォーマンス最適化フラグ
         this.frameSkipCounter = 0;
         
+        // 負荷に応じた品質の自動調整
+        this.governor = new PerformanceGovernor({
+            budget: 1000 / (this.config.targetFPS || 60)
+        });
+        
         this.init();
     }
     
@@ -51,8 +205,12 @@ class PupilFireworksApp {
             // ステージ初期化
             this.initStages();
             
-            // アセット読み込み
-            await this.loadAssets();
+            // アセット読み込み（シーン指定があればシーンの設定とアセット）
+            if (this.config.scene) {
+                await this.loadScene(this.config.scene);
+            } else {
+                await this.loadAssets();
+            }
             
             // マスキングシステム初期化
             this.initMaskingSystem();
@@ -77,45 +235,43 @@ class PupilFireworksApp {
         this.stages.trails = new Stage('trails-canvas');
         this.stages.main = new Stage('main-canvas');
         
+        this.applyQuality();
+        
         // アニメーションループ設定（シンプル版）
         this.stages.main.addEventListener('ticker', (event) => {
             if (this.isRunning) {
-                this.update(event.frameTime, event.lag);
+                this.update(event.frameTime);
             }
         });
     }
     
     async loadAssets() {
-        const loadPromises = [];
-        
-        // 背景画像読み込み
-        if (this.config.backgroundImage) {
-            loadPromises.push(
-                this.loadImage(this.config.backgroundImage, 'background')
-            );
-        }
-        
-        // マスク画像読み込み
-        if (this.config.maskImage) {
-            loadPromises.push(
-                this.loadImage(this.config.maskImage, 'mask')
-            );
-        }
-        
-        await Promise.all(loadPromises);
-        
-        // アスペクト比計算
+        Object.assign(this.assets, await this.loadSceneAssets(this.config));
+        this.updateAspectRatio();
+    }
+    
+    // 背景画像とマスク画像を読み込む（ベクターマスクは読み込み不要）
+    async loadSceneAssets(config) {
+        const [background, mask, lightMap] = await Promise.all([
+            config.backgroundImage ? this.loadImage(config.backgroundImage) : null,
+            typeof config.maskImage === 'string' ? this.loadImage(config.maskImage) : null,
+            config.lightMap ? this.loadImage(config.lightMap.image) : null
+        ]);
+        return { background, mask, lightMap };
+    }
+    
+    // アスペクト比計算（背景画像に合わせる）
+    updateAspectRatio() {
         if (this.assets.background) {
             this.aspectRatio = this.assets.background.width / this.assets.background.height;
         }
     }
     
-    loadImage(url, key) {
+    loadImage(url) {
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.onload = () => {
-                this.assets[key] = img;
-                console.log(`Asset loaded: ${key} (${img.width}x${img.height})`);
+                console.log(`Asset loaded: ${url} (${img.width}x${img.height})`);
                 resolve(img);
             };
             img.onerror = () => {
@@ -125,14 +281,74 @@ class PupilFireworksApp {
         });
     }
     
+    /**
+     * シーン（背景・マスク・光源・パレット・花火タイプ・ブレンドモード）を読み込んで切り替える
+     * scene: シーン名（scenes/<name>.json）、マニフェストのURL、またはマニフェストのオブジェクト
+     * 画像の読み込みが終わるまでは今のシーンのまま表示を続ける（ページの再読み込み不要）
+     * パレット・法線マップの種類が不正なマニフェストは、何も変えずに reject する
+     * 花火タイプは config と同じく未知の名前を警告して除き、1つも残らなければ全タイプ
+     */
+    async loadScene(scene) {
+        const manifest = typeof scene === 'object' ? scene : await this.fetchSceneManifest(scene);
+        
+        const sceneConfig = {};
+        Object.entries(SCENE_CONFIG_KEYS).forEach(([field, key]) => {
+            sceneConfig[key] = field in manifest ? manifest[field] : this.baseConfig[key];
+        });
+        this.validateSceneConfig(sceneConfig);
+        sceneConfig.shellTypes = this.filterShellTypes(sceneConfig.shellTypes);
+        
+        const assets = await this.loadSceneAssets(sceneConfig);
+        
+        // 読み込みがすべて終わってから切り替え
+        Object.assign(this.config, sceneConfig);
+        Object.assign(this.assets, assets);
+        this.updateAspectRatio();
+        this.updateLightMap();
+        this.world.setPalette(this.config.palette);
+        this.applyAtmosphere();
+        if (this.isInitialized) {
+            this.handleResize(); // アスペクト比とマスクの解析結果を更新
+        }
+        
+        this.currentScene = manifest.name || (typeof scene === 'string' ? scene : null);
+        console.log(`Scene loaded: ${this.currentScene}`);
+        return manifest;
+    }
+    
+    /**
+     * 切り替える前にシーンの設定を確認（不正な値は例外）
+     */
+    validateSceneConfig(sceneConfig) {
+        FireworksCore.resolvePalette(sceneConfig.palette);
+        FaceLighting.validateLightMap(sceneConfig.lightMap);
+    }
+    
+    async fetchSceneManifest(scene) {
+        const url = scene.includes('/') || scene.endsWith('.json') ? scene : `${SCENE_DIRECTORY}${scene}.json`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load scene: ${url} (${response.status})`);
+        }
+        return response.json();
+    }
+    
     initMaskingSystem() {
         // オフスクリーンキャンバス作成
         this.offscreenCanvas = document.createElement('canvas');
         this.offscreenCtx = this.offscreenCanvas.getContext('2d');
         
-        // マスクキャンバス作成
-        this.maskCanvas = document.createElement('canvas');
-        this.maskCtx = this.maskCanvas.getContext('2d');
+        // 顔のライティング（法線マップ・高さマップがあれば陰影付き）
+        this.faceLighting = new FaceLighting();
+        this.updateLightMap();
+    }
+    
+    // 読み込み済みの法線マップ・高さマップをライティングに反映
+    updateLightMap() {
+        if (!this.faceLighting) return;
+        
+        const lightMap = this.config.lightMap;
+        this.faceLighting.setLightMap(lightMap && this.assets.lightMap ? { ...lightMap, image: this.assets.lightMap } : null);
     }
     
     bindEvents() {
@@ -141,19 +357,23 @@ class PupilFireworksApp {
             this.handleInteraction(event);
         });
         
-        // リサイズイベント
-        window.addEventListener('resize', () => {
+        // destroy 時に解除できるようハンドラーを保持
+        this.onWindowResize = () => {
             this.handleResize();
-        });
-        
-        // フォーカスイベント（パフォーマンス最適化）
-        document.addEventListener('visibilitychange', () => {
+        };
+        this.onVisibilityChange = () => {
             if (document.hidden) {
                 this.pause();
             } else {
                 this.resume();
             }
-        });
+        };
+        
+        // リサイズイベント
+        window.addEventListener('resize', this.onWindowResize);
+        
+        // フォーカスイベント（パフォーマンス最適化）
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
     }
     
     handleInteraction(event) {
@@ -171,148 +391,168 @@ class PupilFireworksApp {
         console.log(`Random depth fireworks launched from mobile tap!`);
     }
     
-    createFirework(x, y, depthOptions = {}) {
-        // デフォルトの深度オプション
-        const depth = depthOptions.depth || 'middle';
-        const sizeMultiplier = depthOptions.sizeMultiplier || 1.0;
-        const intensityMultiplier = depthOptions.intensityMultiplier || 1.0;
+    /**
+     * 花火の発射
+     * options.shellType に FireworksCore.shellTypes の名前を指定するとそのタイプ、
+     * 省略時は config.shellTypes（未設定なら全タイプ）からランダムに選択
+     * options.shape を指定するとタイプに関わらずその形に開く
+     * options.mirror に領域名の組を指定すると、もう片方の領域の対応する位置にも同じ花火を出す
+     * （省略時は config.mirrorRegions、false で無効）
+     * options.depth は奥行き（0: 手前 〜 1: 奥、または 'foreground' / 'middle' / 'background'）
+     */
+    createFirework(x, y, options = {}) {
+        // 破棄後に遅延発射が届いた場合は無視
+        if (!this.world) return;
+        
+        // 奥行き（大きさ・速さ・明るさは FireworksCore.DEPTH に従って z から決まる）
+        const z = FireworksCore.resolveDepth(options.depth);
+        
+        // 花火タイプの決定（未知の名前はランダムにフォールバック）
+        let shellName = options.shellType || this.pickShellType();
+        if (!FireworksCore.shellTypes[shellName]) {
+            console.warn(`Unknown shell type: ${shellName}`);
+            shellName = this.pickShellType();
+        }
+        const shellType = FireworksCore.shellTypes[shellName];
+        
+        const size = Math.max(0, Math.min(4, this.config.fireworkSize));
+        const shellOptions = shellType(size, this.world);
+        shellOptions.z = z;
         
-        // ランダムな花火タイプを選択
-        const shellTypes = [
-            FireworksCore.crysanthemumShell,
-            FireworksCore.ringShell,
-            FireworksCore.willowShell,
-            FireworksCore.palmShell
-        ];
+        // 形状指定（'heart'、点の配列、{ text }、{ image } など）
+        if (options.shape) {
+            shellOptions.shape = options.shape;
+        }
         
-        const shellType = shellTypes[Math.floor(Math.random() * shellTypes.length)];
+        const shell = this.world.createShell(shellOptions);
+        this.fireShell(shell, x, y);
+        
+        // 左右の瞳に鏡写しで同じ花火（色も揃える）
+        const mirrorPair = options.mirror !== undefined ? options.mirror : this.config.mirrorRegions;
+        const mirrored = mirrorPair && this.maskModel && this.maskModel.mirrorPoint(x, y, mirrorPair);
+        if (mirrored) {
+            const twin = this.world.createShell({ ...shellOptions, color: shell.color });
+            this.fireShell(twin, mirrored.x, mirrored.y);
+        }
+        
+        console.log(`Firework created at (${x}, ${y}) with type: ${shellName}, depth: ${z.toFixed(2)}, size: ${size.toFixed(1)}`);
+    }
+    
+    // 打ち上げ地点より上が目標なら打ち上げ、それ以外はその場で破裂
+    fireShell(shell, x, y) {
+        const origin = this.config.launch ? this.getLaunchOrigin(x) : null;
+        if (origin && origin.y > y) {
+            shell.launch(origin.x, origin.y, x, y);
+        } else {
+            shell.burst(x, y);
+        }
+    }
+    
+    /**
+     * 花火タイプ名の配列から FireworksCore.shellTypes に登録されている名前だけを残す
+     * 未知の名前は警告して除き、1つも残らなければ null（全タイプ）を返す
+     */
+    filterShellTypes(names) {
+        if (!names) return null;
         
-        // 深度に応じてサイズ調整
-        const adjustedSize = Math.max(0, Math.min(4, this.config.fireworkSize * sizeMultiplier));
-        const shell = new FireworksCore.Shell(shellType(adjustedSize));
+        const valid = names.filter(name => {
+            if (FireworksCore.shellTypes[name]) return true;
+            console.warn(`Unknown shell type: ${name}`);
+            return false;
+        });
+        return valid.length ? valid : null;
+    }
+    
+    /**
+     * ランダムな花火タイプ名を選択
+     */
+    pickShellType() {
+        const names = this.config.shellTypes || Object.keys(FireworksCore.shellTypes);
+        return names[Math.floor(this.world.random() * names.length)];
+    }
+    
+    /**
+     * 打ち上げ地点の決定
+     * 設定された launchOrigin、なければ瞳マスクの下端（目標の真下付近）から打ち上げる
+     */
+    getLaunchOrigin(targetX) {
+        const stage = this.stages.main;
         
-        // 深度情報を保存（描画時に使用）
-        shell.depthLayer = depth;
-        shell.intensityMultiplier = intensityMultiplier;
+        if (this.config.launchOrigin) {
+            return {
+                x: this.config.launchOrigin.x * stage.width,
+                y: this.config.launchOrigin.y * stage.height
+            };
+        }
         
-        shell.burst(x, y);
+        // 目標の真下から少し揺らして打ち上げる
+        const drift = (this.world.random() - 0.5) * 20;
+        const bounds = this.maskModel && this.maskModel.bounds;
+        const bottom = bounds ? bounds.bottom : stage.height;
         
-        console.log(`Firework created at (${x}, ${y}) with depth: ${depth}, size: ${adjustedSize.toFixed(1)}`);
+        return { x: targetX + drift, y: bottom };
     }
     
     /**
      * 遠近感のある花火発射システム
-     * タップ位置を中心に手前・中間・奥の花火をランダム配置
+     * タップ位置を中心に手前〜奥の花火をランダム配置（奥ほど広く散らし、高い位置に）
      */
     createDepthVariationFireworks(tapX, tapY) {
-        const fireworkCount = 3 + Math.floor(Math.random() * 3); // 3〜5発
-        
-        // 深度レイヤー定義
-        const depthLayers = [
-            {
-                name: 'background',
-                weight: 0.3, // 30%の確率
-                sizeMultiplier: 0.4, // 40%のサイズ
-                intensityMultiplier: 0.3, // 30%の明度
-                spreadRadius: 200, // 広い分散範囲
-                heightOffset: -80 // より高い位置
-            },
-            {
-                name: 'middle',
-                weight: 0.4, // 40%の確率
-                sizeMultiplier: 0.7, // 70%のサイズ
-                intensityMultiplier: 0.6, // 60%の明度
-                spreadRadius: 120, // 中程度の分散範囲
-                heightOffset: -40 // 中程度の高さ
-            },
-            {
-                name: 'foreground',
-                weight: 0.3, // 30%の確率
-                sizeMultiplier: 1.2, // 120%のサイズ
-                intensityMultiplier: 1.0, // 100%の明度
-                spreadRadius: 80, // 狭い分散範囲
-                heightOffset: 0 // 手前は元の高さ
-            }
-        ];
+        const fireworkCount = 3 + Math.floor(this.world.random() * 3); // 3〜5発
+        const DEPTH = FireworksCore.DEPTH;
         
         // 各花火の発射
         for (let i = 0; i < fireworkCount; i++) {
-            // 深度レイヤーをランダム選択（重み付き）
-            const layer = this.selectRandomDepthLayer(depthLayers);
+            const z = this.pickRandomDepth();
             
             // タップ位置からの分散計算
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * layer.spreadRadius;
+            const angle = this.world.random() * Math.PI * 2;
+            const distance = this.world.random() * FireworksCore.lerpDepth(DEPTH.spread, z);
             const offsetX = Math.cos(angle) * distance;
             const offsetY = Math.sin(angle) * distance;
             
             // 最終的な発射位置
             const finalX = tapX + offsetX;
-            const finalY = tapY + offsetY + layer.heightOffset;
+            const finalY = tapY + offsetY - FireworksCore.lerpDepth(DEPTH.rise, z);
             
-            // 発射タイミングを遅延（自然な時差）
-            const delay = i * (100 + Math.random() * 200); // 100〜300msの間隔
+            // 発射タイミングを遅延（自然な時差、シミュレーション時間なので一時停止・スローモーションに従う）
+            const delay = i * (100 + this.world.random() * 200); // 100〜300msの間隔
             
-            setTimeout(() => {
-                this.createFirework(finalX, finalY, {
-                    depth: layer.name,
-                    sizeMultiplier: layer.sizeMultiplier,
-                    intensityMultiplier: layer.intensityMultiplier
-                });
-            }, delay);
+            this.world.schedule(delay, () => {
+                this.createFirework(finalX, finalY, { depth: z });
+            });
         }
     }
     
     /**
-     * 重み付きランダム選択
+     * ランダムな奥行き（2つの乱数の平均：中間が多く、手前・奥は少なめ）
      */
-    selectRandomDepthLayer(layers) {
-        const totalWeight = layers.reduce((sum, layer) => sum + layer.weight, 0);
-        let random = Math.random() * totalWeight;
-        
-        for (const layer of layers) {
-            random -= layer.weight;
-            if (random <= 0) {
-                return layer;
-            }
-        }
-        
-        return layers[layers.length - 1]; // フォールバック
+    pickRandomDepth() {
+        return (this.world.random() + this.world.random()) / 2;
     }
     
     createRandomDepthFireworks() {
         // 瞳領域内のランダムな位置を取得（3〜5発分）
-        const fireworkCount = 3 + Math.floor(Math.random() * 3); // 3〜5発
+        const fireworkCount = 3 + Math.floor(this.world.random() * 3); // 3〜5発
         const positions = this.getRandomMaskPositions(fireworkCount);
         
         if (positions.length > 0) {
             // 各花火に遠近感を付けて発射（スペースキー相当）
             for (let i = 0; i < positions.length; i++) {
                 const position = positions[i];
+                const z = this.pickRandomDepth();
                 
-                // 遠近感の深度レイヤー定義
-                const depthLayers = [
-                    { name: 'background', weight: 2, sizeMultiplier: 0.6, intensityMultiplier: 0.4, heightOffset: 0 },
-                    { name: 'middle', weight: 5, sizeMultiplier: 1.0, intensityMultiplier: 1.0, heightOffset: 50 },
-                    { name: 'foreground', weight: 3, sizeMultiplier: 1.6, intensityMultiplier: 1.3, heightOffset: 100 }
-                ];
-                
-                const layer = this.selectRandomDepthLayer(depthLayers);
-                
-                // ランダムな高さオフセットを追加（より自然に）
-                const heightVariation = -50 + Math.random() * 100; // ±50pxの変化
-                const finalY = Math.max(50, position.y + layer.heightOffset + heightVariation);
+                // 奥ほど高い位置に、ランダムな高さオフセットを追加（より自然に）
+                const heightVariation = -50 + this.world.random() * 100; // ±50pxの変化
+                const rise = FireworksCore.lerpDepth(FireworksCore.DEPTH.rise, z);
+                const finalY = Math.max(50, position.y - rise + heightVariation);
                 
                 // 発射タイミングを遅延（自然な時差）
-                const delay = i * (100 + Math.random() * 200); // 100〜300msの間隔
+                const delay = i * (100 + this.world.random() * 200); // 100〜300msの間隔
                 
-                setTimeout(() => {
-                    this.createFirework(position.x, finalY, {
-                        depth: layer.name,
-                        sizeMultiplier: layer.sizeMultiplier,
-                        intensityMultiplier: layer.intensityMultiplier
-                    });
-                }, delay);
+                this.world.schedule(delay, () => {
+                    this.createFirework(position.x, finalY, { depth: z });
+                });
             }
             
             console.log(`${fireworkCount} random depth fireworks launched from pupil area!`);
@@ -334,9 +574,9 @@ class PupilFireworksApp {
             this.createFirework(positions[0].x, positions[0].y);
             
             // 2つ目の花火を0.2秒後に発射
-            setTimeout(() => {
+            this.world.schedule(200, () => {
                 this.createFirework(positions[1].x, positions[1].y);
-            }, 200);
+            });
             
             console.log(`Dual fireworks launched at (${positions[0].x}, ${positions[0].y}) and (${positions[1].x}, ${positions[1].y})`);
         } else {
@@ -348,93 +588,73 @@ class PupilFireworksApp {
     }
     
     isPointInMask(x, y) {
-        // マスク画像がない場合は常にtrue
-        if (!this.assets.mask) {
+        // マスクがない場合は常にtrue
+        if (!this.maskModel) {
             return true;
         }
         
-        const stage = this.stages.main;
-        const displayWidth = stage.width;
-        const displayHeight = stage.height;
-        
-        // 座標が画面外の場合はfalse
-        if (x < 0 || y < 0 || x >= displayWidth || y >= displayHeight) {
-            return false;
-        }
-        
-        // マスクを一時的にキャンバスに描画してピクセル情報を取得
-        const maskCanvas = document.createElement('canvas');
-        const maskCtx = maskCanvas.getContext('2d');
-        maskCanvas.width = displayWidth;
-        maskCanvas.height = displayHeight;
-        
-        // マスクを描画（表示サイズに合わせてスケール）
-        maskCtx.drawImage(this.assets.mask, 0, 0, displayWidth, displayHeight);
-        const imageData = maskCtx.getImageData(Math.floor(x), Math.floor(y), 1, 1);
-        const alpha = imageData.data[3];
-        
-        // 半透明以上なら有効領域
-        return alpha > 128;
+        return this.maskModel.contains(x, y);
     }
     
-    getRandomMaskPositions(count = 2) {
-        const positions = [];
+    /**
+     * マスク内のランダム位置を選択
+     * region を指定するとその名前付き領域の中から選ぶ（省略時は config.targetRegion）
+     */
+    getRandomMaskPositions(count = 2, region = this.config.targetRegion) {
         const stage = this.stages.main;
         
-        // Stageクラスと同じ座標系を使用（表示サイズ）
-        const displayWidth = stage.width;
-        const displayHeight = stage.height;
-        
-        console.log(`Display size: ${displayWidth}x${displayHeight}`);
-        console.log(`Mask image size: ${this.assets.mask ? this.assets.mask.width + 'x' + this.assets.mask.height : 'No mask'}`);
-        
-        // マスク画像がない場合は画面内のランダム位置を返す
-        if (!this.assets.mask) {
+        // マスクがない場合は画面内のランダム位置を返す
+        if (!this.maskModel) {
+            const positions = [];
             for (let i = 0; i < count; i++) {
                 positions.push({
-                    x: Math.random() * displayWidth,
-                    y: Math.random() * displayHeight
+                    x: this.world.random() * stage.width,
+                    y: this.world.random() * stage.height
                 });
             }
             console.log('No mask found, using random display positions:', positions);
             return positions;
         }
         
-        // マスク領域内のランダム位置を探す（表示サイズで処理）
-        const maskCanvas = document.createElement('canvas');
-        const maskCtx = maskCanvas.getContext('2d');
-        maskCanvas.width = displayWidth;
-        maskCanvas.height = displayHeight;
-        
-        // マスクを描画（表示サイズに合わせてスケール）
-        maskCtx.drawImage(this.assets.mask, 0, 0, displayWidth, displayHeight);
-        const imageData = maskCtx.getImageData(0, 0, displayWidth, displayHeight);
-        const pixels = imageData.data;
-        
-        // 有効な位置（アルファ値が0より大きい）を収集
-        const validPositions = [];
-        for (let y = 0; y < displayHeight; y += 2) { // パフォーマンス向上のため2pixel間隔
-            for (let x = 0; x < displayWidth; x += 2) {
-                const index = (y * displayWidth + x) * 4;
-                const alpha = pixels[index + 3];
-                if (alpha > 128) { // 半透明以上の領域
-                    validPositions.push({ x, y });
-                }
-            }
-        }
-        
-        // ランダムに選択
-        console.log(`Found ${validPositions.length} valid mask positions`);
-        for (let i = 0; i < count && validPositions.length > 0; i++) {
-            const randomIndex = Math.floor(Math.random() * validPositions.length);
-            positions.push(validPositions[randomIndex]);
-            validPositions.splice(randomIndex, 1); // 重複避け
+        if (region && !this.maskModel.getRegion(region)) {
+            console.warn(`Unknown mask region: ${region}, using whole mask`);
+            region = null;
         }
         
+        // キャッシュ済みの有効位置からランダムに選択（重複なし）
+        const positions = this.maskModel.randomPositions(count, this.world.random, region);
         console.log(`Selected mask positions:`, positions);
         return positions;
     }
     
+    /**
+     * マスクモデルを表示サイズで作り直す（リサイズ時のみ）
+     */
+    updateMaskModel(width, height) {
+        const options = {
+            regions: this.config.maskRegions,
+            feather: this.config.maskFeather,
+            spawnWeighting: this.config.maskSpawnWeighting,
+            iris: this.config.maskIris
+        };
+        const maskImage = this.config.maskImage;
+        
+        if (this.assets.mask) {
+            this.maskModel = MaskModel.fromImage(this.assets.mask, width, height, options);
+        } else if (maskImage && typeof maskImage === 'object') {
+            // 座標系の大きさの省略時は背景画像のピクセル座標
+            const background = this.assets.background;
+            const definition = {
+                width: background ? background.width : width,
+                height: background ? background.height : height,
+                ...maskImage
+            };
+            this.maskModel = MaskModel.fromShapes(definition, width, height, options);
+        } else {
+            this.maskModel = null;
+        }
+    }
+    
     handleResize() {
         const container = document.getElementById('stage-container');
         const containerRect = container.getBoundingClientRect();
@@ -465,9 +685,12 @@ class PupilFireworksApp {
             this.offscreenCanvas.height = canvasHeight;
         }
         
-        if (this.maskCanvas) {
-            this.maskCanvas.width = canvasWidth;
-            this.maskCanvas.height = canvasHeight;
+        // マスクの解析結果を更新（当たり判定・ランダム位置・描画時の合成用）
+        this.updateMaskModel(canvasWidth, canvasHeight);
+        
+        // ライティングのバッファを表示サイズに合わせる
+        if (this.faceLighting) {
+            this.faceLighting.resize(canvasWidth, canvasHeight);
         }
         
         // コンテナサイズ設定
@@ -479,17 +702,24 @@ class PupilFireworksApp {
         console.log(`Canvas resized to ${canvasWidth}x${canvasHeight}`);
     }
     
-    update(frameTime, lag) {
-        const speed = this.simulationSpeed * lag;
+    update(frameTime) {
+        const workStart = performance.now();
         
         // FPS計算
         this.updateFPS(frameTime);
         
-        // 花火物理演算更新
-        FireworksCore.updateFireworks(frameTime, speed);
+        // 花火物理演算更新（固定ステップ、端数は描画時に補間）
+        this.renderAlpha = this.world.advance(frameTime * this.simulationSpeed);
         
         // レンダリング
-        this.render(speed);
+        this.render(frameTime);
+        
+        // 負荷調整（段階が変わったら次フレームから反映）
+        if (this.config.adaptiveQuality &&
+            this.governor.sample(frameTime, performance.now() - workStart)) {
+            console.log(`Performance step: ${this.governor.stepName}`);
+            this.applyQuality();
+        }
     }
     
     updateFPS(frameTime) {
@@ -504,12 +734,11 @@ class PupilFireworksApp {
             // パフォーマンス調整
             if (this.fpsCounter.currentFPS < 25) { // 45から25に変更
                 console.warn(`Low FPS detected: ${this.fpsCounter.currentFPS}`);
-                // 必要に応じてパーティクル数を削減
             }
         }
     }
     
-    render(speed) {
+    render(frameTime) {
         const trailsCtx = this.stages.trails.ctx;
         const mainCtx = this.stages.main.ctx;
         const width = this.stages.main.width;
@@ -520,17 +749,22 @@ class PupilFireworksApp {
         
         // トレイル効果（背景描画後に適用、軽量化）
         trailsCtx.globalCompositeOperation = 'source-over';
-        trailsCtx.fillStyle = `rgba(0, 0, 0, ${0.05 * speed})`; // より軽い効果に調整
+        // 30FPS時に1フレームあたり quality.trailFade となるよう経過時間から算出
+        const trailFade = 1 - Math.pow(1 - this.quality.trailFade, frameTime / FireworksCore.BASE_FRAME_TIME);
+        trailsCtx.fillStyle = `rgba(0, 0, 0, ${trailFade})`; // より軽い効果に調整
         trailsCtx.fillRect(0, 0, width, height);
         
         // メインキャンバスクリア
         mainCtx.clearRect(0, 0, width, height);
         
+        // 顔グロー用の花火データ（爆発フラッシュは描画時に取り出されるので先に集計）
+        const fireworkData = this.getActiveFireworkData();
+        
         // 花火と爆発フラッシュを一緒にマスク適用
         this.renderFireworksWithMask(trailsCtx, mainCtx, width, height);
         
-        // 顔全体へのグローエフェクト（C: 色温度変化 + D: 動的明度変化）
-        this.renderFaceGlow(trailsCtx, width, height);
+        // 顔全体へのグローエフェクト（C: 色温度変化 + D: 動的明度変化 + 爆発・星の集まりごとの光）
+        this.renderFaceGlow(trailsCtx, width, height, frameTime, fireworkData);
     }
     
     renderBackground(ctx, width, height) {
@@ -542,8 +776,8 @@ class PupilFireworksApp {
     }
     
     renderBurstFlashes(ctx) {
-        while (FireworksCore.BurstFlash.active.length) {
-            const bf = FireworksCore.BurstFlash.active.pop();
+        while (this.world.BurstFlash.active.length) {
+            const bf = this.world.BurstFlash.active.pop();
             
             const burstGradient = ctx.createRadialGradient(bf.x, bf.y, 0, bf.x, bf.y, bf.radius);
             burstGradient.addColorStop(0.024, 'rgba(255, 255, 255, 1)');
@@ -553,14 +787,71 @@ class PupilFireworksApp {
             ctx.fillStyle = burstGradient;
             ctx.fillRect(bf.x - bf.radius, bf.y - bf.radius, bf.radius * 2, bf.radius * 2);
             
-            FireworksCore.BurstFlash.returnInstance(bf);
+            // 顔を照らす光として残す（フラッシュは1フレームだけだが光はしばらく減衰しながら残る）
+            this.addBurstLight(bf);
+            
+            this.world.BurstFlash.returnInstance(bf);
         }
     }
     
+    /**
+     * 煙の描画
+     * 灰色のもやに、爆発の光で照らされた色を重ねる（発生直後はふわっと現れ、寿命とともに薄れる）
+     */
+    renderSmoke(ctx) {
+        const smokes = this.world.Smoke.active;
+        if (smokes.length === 0) return;
+        
+        const alpha = this.renderAlpha;
+        const baseSprite = this.getSmokeSprite(SMOKE_STYLE.color);
+        
+        smokes.forEach(smoke => {
+            const x = smoke.prevX + (smoke.x - smoke.prevX) * alpha;
+            const y = smoke.prevY + (smoke.y - smoke.prevY) * alpha;
+            const size = smoke.radius * 2;
+            const age = smoke.fullLife - smoke.life;
+            const opacity = SMOKE_STYLE.opacity * (smoke.life / smoke.fullLife) * Math.min(1, age / SMOKE_STYLE.fadeIn);
+            
+            ctx.globalAlpha = opacity;
+            ctx.drawImage(baseSprite, x - smoke.radius, y - smoke.radius, size, size);
+            
+            if (smoke.tint && smoke.tintAmount > 0.02) {
+                ctx.globalAlpha = Math.min(1, opacity * smoke.tintAmount * SMOKE_STYLE.tintStrength);
+                ctx.drawImage(this.getSmokeSprite(smoke.tint), x - smoke.radius, y - smoke.radius, size, size);
+            }
+        });
+        
+        ctx.globalAlpha = 1.0;
+    }
+    
+    // 中心から外側へ透明になる円のスプライト（色ごとに1度だけ作成）
+    getSmokeSprite(color) {
+        let sprite = this.smokeSprites.get(color);
+        if (sprite) return sprite;
+        
+        const size = SMOKE_STYLE.spriteSize;
+        sprite = document.createElement('canvas');
+        sprite.width = size;
+        sprite.height = size;
+        const ctx = sprite.getContext('2d');
+        const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+        gradient.addColorStop(0, color);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, size, size);
+        
+        this.smokeSprites.set(color, sprite);
+        return sprite;
+    }
+    
     renderFireworksWithMask(trailsCtx, mainCtx, width, height) {
         // オフスクリーンキャンバスで花火を描画
         this.offscreenCtx.clearRect(0, 0, width, height);
         
+        // 煙を一番奥に描画
+        this.renderSmoke(this.offscreenCtx);
+        
         // 爆発フラッシュを先に描画（マスク適用対象）
         this.renderBurstFlashes(this.offscreenCtx);
         
@@ -568,8 +859,8 @@ class PupilFireworksApp {
         this.renderFireworks(this.offscreenCtx);
         
         // マスク適用
-        if (this.assets.mask) {
-            this.applyMask(width, height);
+        if (this.maskModel) {
+            this.applyMask();
         }
         
         // メインキャンバスに合成
@@ -579,130 +870,161 @@ class PupilFireworksApp {
     }
     
     renderFireworks(ctx) {
-        // 深度順にレンダリング（奥から手前へ）
-        const depthOrder = ['background', 'middle', 'foreground'];
+        const buckets = this.bucketByDepth();
         
-        depthOrder.forEach(depthLayer => {
-            this.renderFireworksLayer(ctx, depthLayer);
-        });
+        // 奥行き順にレンダリング（奥から手前へ）
+        for (let i = buckets.length - 1; i >= 0; i--) {
+            this.renderDepthBucket(ctx, buckets[i], this.depthProfiles[i]);
+        }
+        
+        // アルファ値をリセット
+        ctx.globalAlpha = 1.0;
     }
     
-    renderFireworksLayer(ctx, targetDepth) {
-        // 深度に応じた透明度設定（線の太さは美しさ重視で固定）
-        const depthSettings = {
-            'background': { alpha: 0.4, glowEffect: false },
-            'middle': { alpha: 0.8, glowEffect: true },
-            'foreground': { alpha: 1.0, glowEffect: true }
+    /**
+     * 全パーティクルを奥行きの段階（FireworksCore.DEPTH.buckets）に1回だけ振り分ける
+     * 配列は使い回し、INVISIBLE は描画しないので含めない
+     */
+    bucketByDepth() {
+        const count = FireworksCore.DEPTH.buckets;
+        const buckets = this.depthBuckets;
+        buckets.forEach(bucket => {
+            bucket.stars.length = 0;
+            bucket.sparks.length = 0;
+        });
+        
+        const collect = (collection, key) => {
+            Object.keys(collection).forEach(color => {
+                if (color === FireworksCore.INVISIBLE) return;
+                collection[color].forEach(particle => {
+                    buckets[Math.min(count - 1, Math.floor(particle.z * count))][key].push(particle);
+                });
+            });
         };
+        collect(this.world.Star.active, 'stars');
+        collect(this.world.Spark.active, 'sparks');
         
-        const settings = depthSettings[targetDepth] || depthSettings['middle'];
+        return buckets;
+    }
+    
+    /**
+     * 1段階分の奥行きのパーティクルを描画
+     * profile（FireworksCore.getDepthProfile）の倍率で線を太く・細く、明るさで透明度を決める
+     * ぼかしは線を太くして透明度を下げる擬似的な表現（ctx.filter より大幅に軽い）
+     */
+    renderDepthBucket(ctx, bucket, profile) {
+        const { scale, brightness, blur } = profile;
         
-        // Starsの描画（深度フィルタリング） - 美しい2層炎描画
+        // Starsの描画 - 美しい2層炎描画（品質 low は1層）
         ctx.lineCap = 'round';
-        
-        FireworksCore.COLOR_CODES.forEach(color => {
-            const stars = FireworksCore.Star.active[color];
+        const twoLayerFlame = this.quality.flameLayers > 1;
+        const outerWidth = (this.world.Star.drawWidth + 1) * scale;
+        const innerWidth = Math.max(1, this.world.Star.drawWidth - 1) * scale;
+        const starAlpha = brightness * outerWidth / (outerWidth + blur);
+        
+        // 2層描画：外炎（太い）→ 内炎（細い）の順序で美しいグラデーション
+        bucket.stars.forEach(star => {
+            if (!star.visible) return;
             
-            // 対象深度のパーティクルのみフィルタリング
-            const depthFilteredStars = stars.filter(star => {
-                return star.depthLayer === targetDepth || (!star.depthLayer && targetDepth === 'middle');
-            });
+            const streak = this.getStreak(star);
+            const lifeRatio = star.life / star.fullLife;
+            const intensity = starAlpha * lifeRatio;
             
-            if (depthFilteredStars.length === 0) return;
+            // 動的色変化の計算
+            const evolutionColor = FireworksCore.interpolateColorEvolution(star.colorEvolution, lifeRatio);
             
-            // 2層描画：外炎（太い）→ 内炎（細い）の順序で美しいグラデーション
-            depthFilteredStars.forEach(star => {
-                if (!star.visible) return;
-                
-                const lifeRatio = star.life / star.fullLife;
-                const intensity = settings.alpha * lifeRatio;
-                
-                // 動的色変化の計算
-                const evolutionColor = FireworksCore.interpolateColorEvolution(star.colorEvolution, lifeRatio);
-                
-                // 外炎描画（太い線、色彩豊か）
-                ctx.globalAlpha = intensity * 0.8;
-                ctx.lineWidth = FireworksCore.Star.drawWidth + 1;
-                ctx.strokeStyle = evolutionColor || star.colorVariation || star.color;
-                ctx.beginPath();
-                ctx.moveTo(star.x, star.y);
-                ctx.lineTo(star.prevX, star.prevY);
-                ctx.stroke();
-                
-                // 内炎描画（細い線、白熱）
-                ctx.globalAlpha = intensity;
-                ctx.lineWidth = Math.max(1, FireworksCore.Star.drawWidth - 1);
-                ctx.strokeStyle = star.flameGradient ? star.flameGradient.inner : star.color;
-                ctx.beginPath();
-                ctx.moveTo(star.x, star.y);
-                ctx.lineTo(star.prevX, star.prevY);
-                ctx.stroke();
-            });
+            // 外炎描画（太い線、色彩豊か）
+            ctx.globalAlpha = twoLayerFlame ? intensity * 0.8 : intensity;
+            ctx.lineWidth = outerWidth + blur;
+            ctx.strokeStyle = evolutionColor || star.colorVariation || star.color;
+            ctx.beginPath();
+            ctx.moveTo(streak.x, streak.y);
+            ctx.lineTo(streak.tailX, streak.tailY);
+            ctx.stroke();
+            
+            if (!twoLayerFlame) return;
+            
+            // 内炎描画（細い線、白熱）
+            ctx.globalAlpha = intensity;
+            ctx.lineWidth = innerWidth + blur;
+            ctx.strokeStyle = star.flameGradient ? star.flameGradient.inner : star.color;
+            ctx.beginPath();
+            ctx.moveTo(streak.x, streak.y);
+            ctx.lineTo(streak.tailX, streak.tailY);
+            ctx.stroke();
         });
         
-        // Sparksの描画（深度フィルタリング）- 繊細で美しい火花表現
-        ctx.lineCap = 'round';
-        
-        FireworksCore.COLOR_CODES.forEach(color => {
-            const sparks = FireworksCore.Spark.active[color];
+        // Sparksの描画 - 繊細で美しい火花表現（ぼけの大きい奥の火花はグローを省略）
+        const sparkWidth = Math.max(0.4, this.world.Spark.drawWidth * 0.7 * scale);
+        const glowWidth = Math.max(1.2, this.world.Spark.drawWidth * 1.4 * scale);
+        const sparkAlpha = brightness * sparkWidth / (sparkWidth + blur);
+        const sparkGlow = this.quality.sparkGlow && blur < 1;
+        
+        // 個別に美しい火花を描画
+        bucket.sparks.forEach(spark => {
+            const streak = this.getStreak(spark);
+            const lifeRatio = spark.life / spark.fullLife;
+            const intensity = sparkAlpha * lifeRatio;
             
-            // 対象深度のパーティクルのみフィルタリング
-            const depthFilteredSparks = sparks.filter(spark => {
-                return spark.depthLayer === targetDepth || (!spark.depthLayer && targetDepth === 'middle');
-            });
+            // 動的色変化の計算
+            const evolutionColor = FireworksCore.interpolateColorEvolution(spark.colorEvolution, lifeRatio);
+            const currentColor = evolutionColor || spark.colorVariation || spark.color;
             
-            if (depthFilteredSparks.length === 0) return;
-            
-            // 個別に美しい火花を描画
-            depthFilteredSparks.forEach(spark => {
-                const lifeRatio = spark.life / spark.fullLife;
-                const intensity = settings.alpha * lifeRatio;
-                
-                // 動的色変化の計算
-                const evolutionColor = FireworksCore.interpolateColorEvolution(spark.colorEvolution, lifeRatio);
-                const currentColor = evolutionColor || spark.colorVariation || spark.color;
-                
-                // グロー効果（寿命に応じて変化）
-                if (settings.glowEffect && lifeRatio > 0.3) {
-                    ctx.globalAlpha = intensity * 0.4;
-                    ctx.lineWidth = Math.max(1.2, FireworksCore.Spark.drawWidth * 1.4);
-                    ctx.strokeStyle = currentColor;
-                    ctx.beginPath();
-                    ctx.moveTo(spark.x, spark.y);
-                    ctx.lineTo(spark.prevX, spark.prevY);
-                    ctx.stroke();
-                }
-                
-                // メイン火花描画（細く美しく）
-                ctx.globalAlpha = intensity;
-                ctx.lineWidth = Math.max(0.4, FireworksCore.Spark.drawWidth * 0.7);
-                
-                // 寿命後半は内炎色（より白く）に変化、またはevolution色使用
-                if (lifeRatio < 0.5 && spark.flameGradient && !evolutionColor) {
-                    ctx.strokeStyle = spark.flameGradient.inner;
-                } else {
-                    ctx.strokeStyle = currentColor;
-                }
-                
+            // グロー効果（寿命に応じて変化）
+            if (sparkGlow && lifeRatio > 0.3) {
+                ctx.globalAlpha = intensity * 0.4;
+                ctx.lineWidth = glowWidth + blur;
+                ctx.strokeStyle = currentColor;
                 ctx.beginPath();
-                ctx.moveTo(spark.x, spark.y);
-                ctx.lineTo(spark.prevX, spark.prevY);
+                ctx.moveTo(streak.x, streak.y);
+                ctx.lineTo(streak.tailX, streak.tailY);
                 ctx.stroke();
-            });
+            }
+            
+            // メイン火花描画（細く美しく）
+            ctx.globalAlpha = intensity;
+            ctx.lineWidth = sparkWidth + blur;
+            
+            // 寿命後半は内炎色（より白く）に変化、またはevolution色使用
+            if (lifeRatio < 0.5 && spark.flameGradient && !evolutionColor) {
+                ctx.strokeStyle = spark.flameGradient.inner;
+            } else {
+                ctx.strokeStyle = currentColor;
+            }
+            
+            ctx.beginPath();
+            ctx.moveTo(streak.x, streak.y);
+            ctx.lineTo(streak.tailX, streak.tailY);
+            ctx.stroke();
         });
-        
-        // アルファ値をリセット
-        ctx.globalAlpha = 1.0;
     }
     
-    applyMask(width, height) {
-        // マスク画像の準備
-        this.maskCtx.clearRect(0, 0, width, height);
-        this.maskCtx.drawImage(this.assets.mask, 0, 0, width, height);
-        
-        // 花火にマスクを適用
+    /**
+     * パーティクルの描画線分を求める
+     * 先端は物理ステップ間を補間した位置、尾は30FPS基準1フレーム分の移動量
+     * 描画レートが変わっても軌跡の長さが変わらない
+     */
+    getStreak(particle) {
+        const alpha = this.renderAlpha;
+        const x = particle.prevX + (particle.x - particle.prevX) * alpha;
+        const y = particle.prevY + (particle.y - particle.prevY) * alpha;
+        
+        // 発生直後は発生地点より後ろに尾を伸ばさない
+        const age = particle.fullLife - particle.life;
+        const length = Math.min(1, age / FireworksCore.BASE_FRAME_TIME);
+        
+        const streak = this.streak;
+        streak.x = x;
+        streak.y = y;
+        streak.tailX = x - particle.speedX * length;
+        streak.tailY = y - particle.speedY * length;
+        return streak;
+    }
+    
+    applyMask() {
+        // リサイズ時に描画済みのマスクで花火を切り抜く
         this.offscreenCtx.globalCompositeOperation = 'destination-in';
-        this.offscreenCtx.drawImage(this.maskCanvas, 0, 0);
+        this.offscreenCtx.drawImage(this.maskModel.canvas, 0, 0);
         this.offscreenCtx.globalCompositeOperation = 'source-over';
     }
     
@@ -713,7 +1035,7 @@ class PupilFireworksApp {
         }
         
         this.isRunning = true;
-        this.stages.main.startTicker();
+        this.stages.main.startTicker(this.config.targetFPS);
         console.log('PupilFireworksApp started');
     }
     
@@ -725,6 +1047,7 @@ class PupilFireworksApp {
     resume() {
         if (this.isInitialized) {
             this.isRunning = true;
+            this.governor.resetTiming(); // 停止中の経過時間を負荷として数えない
             console.log('PupilFireworksApp resumed');
         }
     }
@@ -738,7 +1061,12 @@ class PupilFireworksApp {
     destroy() {
         this.stop();
         Object.values(this.stages).forEach(stage => stage.destroy());
-        window.removeEventListener('resize', this.handleResize);
+        window.removeEventListener('resize', this.onWindowResize);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        
+        // パーティクルとプールを解放
+        this.world.destroy();
+        this.world = null;
         console.log('PupilFireworksApp destroyed');
     }
     
@@ -768,29 +1096,149 @@ class PupilFireworksApp {
     // 設定変更
     updateConfig(newConfig) {
         Object.assign(this.config, newConfig);
+        if (newConfig.shellTypes !== undefined) {
+            this.config.shellTypes = this.filterShellTypes(newConfig.shellTypes);
+        }
         console.log('Config updated:', this.config);
         
+        // シード変更時は乱数系列を作り直す
+        if (newConfig.seed !== undefined) {
+            this.world.seed(newConfig.seed);
+        }
+        
+        if (newConfig.palette !== undefined) {
+            this.world.setPalette(newConfig.palette);
+        }
+        
+        // 煙の量と物理パラメータ（次の爆発・次のステップから反映）
+        if (newConfig.smokeDensity !== undefined || newConfig.physics !== undefined) {
+            this.applyAtmosphere();
+        }
+        
+        // 領域・ぼかし・重み付けが変わったらマスクを解析し直す
+        const maskKeys = ['maskRegions', 'maskFeather', 'maskSpawnWeighting', 'maskIris'];
+        if (maskKeys.some(key => newConfig[key] !== undefined) && this.isInitialized) {
+            this.updateMaskModel(this.stages.main.width, this.stages.main.height);
+        }
+        
+        // 法線マップ・高さマップの変更（読み込みが終わってから反映）
+        if (newConfig.lightMap !== undefined) {
+            const lightMap = newConfig.lightMap;
+            (lightMap ? this.loadImage(lightMap.image) : Promise.resolve(null))
+                .then(image => {
+                    if (this.config.lightMap !== lightMap) return; // 読み込み中に再度変更された
+                    this.assets.lightMap = image;
+                    this.updateLightMap();
+                })
+                .catch(error => console.warn(error.message));
+        }
+        
+        // 目標FPSの変更：負荷判定の予算を合わせ、動いているティッカーは新しい間隔で作り直す
+        if (newConfig.targetFPS !== undefined) {
+            this.governor.budget = 1000 / (this.config.targetFPS || 60);
+            this.governor.resetTiming();
+            if (this.stages.main && this.stages.main.rafId) {
+                this.stages.main.stopTicker();
+                this.stages.main.startTicker(this.config.targetFPS);
+            }
+        }
+
+        // 自動調整を切ったら段階を戻す
+        if (newConfig.adaptiveQuality === false) {
+            this.governor.reset();
+        }
+        
+        // 品質・上限の変更（描画設定は次フレームから反映）
+        if (newConfig.quality !== undefined || newConfig.adaptiveQuality !== undefined ||
+            newConfig.maxStars !== undefined || newConfig.maxSparks !== undefined || newConfig.maxSmoke !== undefined) {
+            this.applyQuality();
+        }
+        
         // 必要に応じてリロード
         if (newConfig.blendMode !== undefined) {
             // ブレンドモード変更時の処理
         }
     }
     
+    /**
+     * config.quality のプロファイルに負荷調整の段階を重ねて描画・ワールド・ステージに適用
+     * DPR上限が変わった場合はキャンバスの解像度だけを作り直す
+     */
+    applyQuality() {
+        let profile = QUALITY_PROFILES[this.config.quality];
+        if (!profile) {
+            console.warn(`Unknown quality: ${this.config.quality}, falling back to 'normal'`);
+            profile = QUALITY_PROFILES.normal;
+        }
+        
+        // 段階 1〜現在の段階の調整をすべて重ねる
+        const quality = { ...profile, starCap: Infinity };
+        for (let i = 1; i <= this.governor.step; i++) {
+            const step = GOVERNOR_STEPS[i];
+            if (step.sparkFreqMultiplier) {
+                quality.sparkFreqScale *= step.sparkFreqMultiplier;
+            }
+            if (step.skipGlow) {
+                quality.sparkGlow = false;
+                quality.faceLights = Math.min(quality.faceLights, 2);
+            }
+            if (step.maxDPR) {
+                quality.maxDPR = Math.min(quality.maxDPR, step.maxDPR);
+            }
+            if (step.starCap) {
+                quality.starCap = step.starCap;
+            }
+        }
+        
+        const previousDPR = this.quality && this.quality.maxDPR;
+        this.quality = quality;
+        
+        this.world.starCountScale = quality.starCountScale;
+        this.world.sparkFreqScale = quality.sparkFreqScale;
+        // 上限は null なら無制限（0 は「出さない」なので || で無制限にしない）
+        const maxStars = this.config.maxStars === null || this.config.maxStars === undefined ? Infinity : this.config.maxStars;
+        this.world.setLimits({
+            maxStars: Math.min(maxStars, quality.starCap),
+            maxSparks: this.config.maxSparks,
+            maxSmoke: this.config.maxSmoke
+        });
+        
+        // DPR上限が変わったらキャンバスの解像度だけ作り直す（マスク・ライティングは表示サイズ基準なので不要）
+        const dprChanged = this.isInitialized && previousDPR !== quality.maxDPR;
+        Object.values(this.stages).forEach(stage => {
+            stage.maxDPR = quality.maxDPR;
+            if (dprChanged) {
+                stage.resize(stage.width, stage.height);
+            }
+        });
+    }
+    
+    // 煙の量と物理パラメータを world に反映（physics は既定値に重ねる）
+    applyAtmosphere() {
+        this.world.Smoke.density = this.config.smokeDensity || 0;
+        this.world.setPhysics(null);
+        if (this.config.physics) {
+            this.world.setPhysics(this.config.physics);
+        }
+    }
+    
     // デバッグ情報
     getDebugInfo() {
-        const starCount = FireworksCore.COLOR_CODES.reduce((total, color) => {
-            return total + FireworksCore.Star.active[color].length;
-        }, 0);
-        
-        const sparkCount = FireworksCore.COLOR_CODES.reduce((total, color) => {
-            return total + FireworksCore.Spark.active[color].length;
+        const countVisible = collection => Object.keys(collection).reduce((total, color) => {
+            return color === FireworksCore.INVISIBLE ? total : total + collection[color].length;
         }, 0);
+        const starCount = countVisible(this.world.Star.active);
+        const sparkCount = countVisible(this.world.Spark.active);
         
         return {
             fps: this.fpsCounter.currentFPS,
+            quality: this.config.quality,
+            scene: this.currentScene,
+            performanceStep: this.config.adaptiveQuality ? this.governor.stepName : 'off',
             isRunning: this.isRunning,
             starCount,
             sparkCount,
+            smokeCount: this.world.Smoke.active.length,
             canvasSize: {
                 width: this.stages.main.width,
                 height: this.stages.main.height
@@ -801,56 +1249,76 @@ class PupilFireworksApp {
     /**
      * 顔全体グローエフェクト
      * C: 色温度の変化 + D: 動的な明度変化（強調版）
+     * 光源位置からの全体の光に、爆発・星の集まりごとの光を加えて1回のパスで描画
      */
-    renderFaceGlow(ctx, width, height) {
-        // アクティブな花火データを収集
-        const fireworkData = this.getActiveFireworkData();
+    renderFaceGlow(ctx, width, height, frameTime, fireworkData) {
+        // 爆発・星の集まりの光（爆発の光は花火がなくなっても減衰し終わるまで残る）
+        const lights = this.getDynamicLights(width, height, frameTime);
+        
+        if (fireworkData.totalIntensity > 0) {
+            // 花火の色に基づく色温度計算（急な色の切り替わりを避けるため時間をかけて追従）
+            // 星が残っていない間（火花・フラッシュのみ）は直前の照明色を保つ
+            const dominantColor = this.calculateDominantColor(fireworkData.color);
+            const targetColor = dominantColor
+                ? this.getColorTemperature(dominantColor)
+                : this.glowColor || this.getColorTemperature({ r: 255, g: 255, b: 255 });
+            const lightColor = this.smoothGlowColor(targetColor, frameTime);
+            
+            // 動的明度計算（パーティクル数と爆発に基づく）
+            const intensity = this.calculateLightIntensity(fireworkData);
+            
+            lights.push(...this.getAmbientLights(width, height, lightColor, intensity));
+        }
         
-        if (fireworkData.totalIntensity === 0) {
+        if (lights.length === 0) {
             return; // 花火がない場合は何もしない
         }
         
-        // 花火の色に基づく色温度計算
-        const dominantColor = this.calculateDominantColor(fireworkData.colors);
-        const lightColor = this.getColorTemperature(dominantColor);
-        
-        // 動的明度計算（パーティクル数と爆発に基づく）
-        const intensity = this.calculateLightIntensity(fireworkData);
-        
-        // 顔全体に放射状グラデーション適用（合成モードは内部で設定）
-        this.applyFaceGradient(ctx, width, height, lightColor, intensity);
+        this.faceLighting.render(ctx, lights, 'overlay');
     }
     
     /**
      * アクティブな花火データ収集
+     * color: 星の色の重み付き合計（重み = 残り寿命の割合 × 奥行きの明るさ）
      */
     getActiveFireworkData() {
         const data = {
-            colors: [],
+            color: { r: 0, g: 0, b: 0, weight: 0 },
             totalIntensity: 0,
             burstCount: 0,
             particleCount: 0
         };
+        const depthBrightness = FireworksCore.DEPTH.brightness;
         
         // Star（メインパーティクル）をカウント
-        Object.keys(FireworksCore.Star.active).forEach(color => {
-            const particles = FireworksCore.Star.active[color];
-            if (particles.length > 0) {
-                data.colors.push({ color, count: particles.length });
-                data.particleCount += particles.length;
-            }
+        Object.keys(this.world.Star.active).forEach(color => {
+            const particles = this.world.Star.active[color];
+            if (particles.length === 0 || color === FireworksCore.INVISIBLE) return;
+            data.particleCount += particles.length;
+            
+            const rgb = FireworksCore.parseRgbColor(color);
+            if (!rgb) return;
+            
+            let weight = 0;
+            particles.forEach(star => {
+                weight += (star.life / star.fullLife) * FireworksCore.lerpDepth(depthBrightness, star.z);
+            });
+            data.color.r += rgb.r * weight;
+            data.color.g += rgb.g * weight;
+            data.color.b += rgb.b * weight;
+            data.color.weight += weight;
         });
         
         // Spark（火花）をカウント
-        Object.keys(FireworksCore.Spark.active).forEach(color => {
-            const sparks = FireworksCore.Spark.active[color];
+        Object.keys(this.world.Spark.active).forEach(color => {
+            const sparks = this.world.Spark.active[color];
             if (sparks.length > 0) {
                 data.particleCount += sparks.length * 0.3; // 火花は重み軽め
             }
         });
         
         // BurstFlash（爆発フラッシュ）をカウント
-        data.burstCount = FireworksCore.BurstFlash.active.length;
+        data.burstCount = this.world.BurstFlash.active.length;
         
         // 総強度計算
         data.totalIntensity = Math.min(1.0, 
@@ -861,51 +1329,57 @@ class PupilFireworksApp {
     }
     
     /**
-     * 支配的な色を計算
+     * 支配的な色を計算（星の色の重み付き平均、星がなければ null）
      */
     calculateDominantColor(colorData) {
-        if (colorData.length === 0) return 'white';
-        
-        // 最も多いパーティクル数の色を選択
-        let maxCount = 0;
-        let dominantColor = 'white';
+        if (colorData.weight <= 0) return null;
         
-        colorData.forEach(({ color, count }) => {
-            if (count > maxCount) {
-                maxCount = count;
-                dominantColor = color;
-            }
-        });
-        
-        return dominantColor;
+        return {
+            r: colorData.r / colorData.weight,
+            g: colorData.g / colorData.weight,
+            b: colorData.b / colorData.weight
+        };
     }
     
     /**
      * C: 色温度の変化 - 花火の色に基づく照明色を決定（バランス版）
+     * rgb: 花火の色（{ r, g, b }）、原色のままだと顔色が不自然になるため暖かい白に寄せる
      */
-    getColorTemperature(fireworkColor) {
-        const colorMap = {
-            // 暖色系（オレンジ・赤系の花火）- 適度な暖色
-            'orange': { r: 255, g: 190, b: 100, temp: 'warm' },   // 適度なオレンジ
-            'red': { r: 255, g: 140, b: 80, temp: 'warm' },       // 適度な赤
-            'yellow': { r: 255, g: 235, b: 130, temp: 'warm' },   // 適度な黄色
-            'gold': { r: 255, g: 210, b: 110, temp: 'warm' },     // 適度なゴールド
-            
-            // 寒色系（青・緑系の花火）- 適度な寒色
-            'blue': { r: 130, g: 180, b: 255, temp: 'cool' },     // 適度な青
-            'cyan': { r: 100, g: 210, b: 255, temp: 'cool' },     // 適度なシアン
-            'green': { r: 130, g: 255, b: 160, temp: 'cool' },    // 適度な緑
-            'purple': { r: 190, g: 130, b: 255, temp: 'cool' },   // 適度な紫
-            
-            // ニュートラル（白・銀系の花火）
-            'white': { r: 255, g: 255, b: 255, temp: 'neutral' },
-            'silver': { r: 230, g: 230, b: 255, temp: 'neutral' },
-            
-            // デフォルト
-            'default': { r: 255, g: 210, b: 150, temp: 'warm' }
+    getColorTemperature(rgb) {
+        // 暖かい白(255, 235, 210)へ45%寄せる
+        const blend = 0.45;
+        const light = {
+            r: rgb.r + (255 - rgb.r) * blend,
+            g: rgb.g + (235 - rgb.g) * blend,
+            b: rgb.b + (210 - rgb.b) * blend
         };
         
-        return colorMap[fireworkColor] || colorMap['default'];
+        // 彩度の低い色（白・銀系）はニュートラル、それ以外は赤と青の強さで暖色・寒色を判定
+        const chroma = Math.max(rgb.r, rgb.g, rgb.b) - Math.min(rgb.r, rgb.g, rgb.b);
+        light.temp = chroma < 40 ? 'neutral' : (rgb.r >= rgb.b ? 'warm' : 'cool');
+        return light;
+    }
+    
+    /**
+     * 照明色を目標の色へ時間ベースで近づける（フレームレートに依存しない）
+     */
+    smoothGlowColor(target, frameTime) {
+        if (!this.glowColor) {
+            this.glowColor = { r: target.r, g: target.g, b: target.b, temp: target.temp };
+        } else {
+            this.glowColor.temp = target.temp;
+            const k = 1 - Math.exp(-frameTime / FACE_GLOW_COLOR.smoothing);
+            this.glowColor.r += (target.r - this.glowColor.r) * k;
+            this.glowColor.g += (target.g - this.glowColor.g) * k;
+            this.glowColor.b += (target.b - this.glowColor.b) * k;
+        }
+        
+        return {
+            r: Math.round(this.glowColor.r),
+            g: Math.round(this.glowColor.g),
+            b: Math.round(this.glowColor.b),
+            temp: target.temp
+        };
     }
     
     /**
@@ -938,71 +1412,130 @@ class PupilFireworksApp {
     }
     
     /**
-     * 顔全体に放射状グラデーション適用（バランス版）
+     * 顔グローの光源位置
+     * config.lightSources（シーンの lights）があればその位置、なければマスクの名前付き領域ごとの重心、領域がなければマスク全体の重心、マスクがなければ画面中央
      */
-    applyFaceGradient(ctx, width, height, lightColor, intensity) {
-        if (intensity <= 0) return;
-        
-        // 瞳の中心点を光源として設定（画面中央付近）
-        const centerX = width * 0.5;
-        const centerY = height * 0.5;
-        
-        // 適度な合成モードを使用
-        ctx.globalCompositeOperation = 'overlay'; // overlayに戻して適度に
-        
-        // 放射状グラデーション作成
-        const gradient = ctx.createRadialGradient(
-            centerX, centerY, 0,                    // 内側の円（瞳の中心）
-            centerX, centerY, Math.max(width, height) * 0.85  // 外側の円を適度に
-        );
-        
-        // グラデーションの色設定（バランス調整）
-        const alpha = Math.min(0.7, intensity * 0.7); // 最大70%の透明度で適度に
-        const centerAlpha = alpha;
-        const midAlpha = alpha * 0.6;
-        const edgeAlpha = alpha * 0.12;
+    getLightSources(width, height) {
+        if (this.config.lightSources) {
+            return this.config.lightSources.map(light => ({ x: light.x * width, y: light.y * height }));
+        }
         
-        gradient.addColorStop(0, 
-            `rgba(${lightColor.r}, ${lightColor.g}, ${lightColor.b}, ${centerAlpha})`
-        );
-        gradient.addColorStop(0.25, 
-            `rgba(${lightColor.r}, ${lightColor.g}, ${lightColor.b}, ${midAlpha})`
-        );
-        gradient.addColorStop(0.6, 
-            `rgba(${lightColor.r}, ${lightColor.g}, ${lightColor.b}, ${midAlpha * 0.4})`
-        );
-        gradient.addColorStop(0.85, 
-            `rgba(${lightColor.r}, ${lightColor.g}, ${lightColor.b}, ${edgeAlpha})`
-        );
-        gradient.addColorStop(1, 
-            `rgba(${lightColor.r}, ${lightColor.g}, ${lightColor.b}, 0)`
-        );
+        const model = this.maskModel;
+        if (model && model.regions.length) {
+            return model.regions.filter(region => region.centroid).map(region => region.centroid);
+        }
+        if (model && model.centroid) {
+            return [model.centroid];
+        }
+        return [{ x: width * 0.5, y: height * 0.5 }];
+    }
+    
+    /**
+     * 光源位置からの全体の光（バランス版）
+     * 強度は光源数で分け合う
+     */
+    getAmbientLights(width, height, lightColor, intensity) {
+        if (intensity <= 0) return [];
+        
+        const sources = this.getLightSources(width, height);
+        const radius = Math.max(width, height) * FACE_LIGHT_SOURCES.ambientRadius;
+        return sources.map(({ x, y }) => ({
+            x,
+            y,
+            radius,
+            intensity: Math.min(1, intensity) / sources.length,
+            r: lightColor.r,
+            g: lightColor.g,
+            b: lightColor.b
+        }));
+    }
+    
+    // 描画した爆発フラッシュを、しばらく残る光として登録
+    addBurstLight(burstFlash) {
+        const rgb = FireworksCore.parseRgbColor(burstFlash.color) || { r: 255, g: 160, b: 20 }; // 色不明ならフラッシュの橙色
+        const color = this.getColorTemperature(rgb);
+        this.burstLights.push({
+            x: burstFlash.x,
+            y: burstFlash.y,
+            radius: burstFlash.radius * FACE_LIGHT_SOURCES.burstRadius,
+            life: FACE_LIGHT_SOURCES.burstLife,
+            r: color.r,
+            g: color.g,
+            b: color.b
+        });
+    }
+    
+    /**
+     * 爆発・星の集まりごとの光源（強い順に quality.faceLights 個まで）
+     * 爆発の光は時間とともに減衰し、星の集まりはグリッドのセルごとに位置と色を重み付き平均する
+     */
+    getDynamicLights(width, height, frameTime) {
+        const lights = [];
+        
+        for (let i = this.burstLights.length - 1; i >= 0; i--) {
+            const light = this.burstLights[i];
+            light.life -= frameTime;
+            if (light.life <= 0) {
+                this.burstLights.splice(i, 1);
+                continue;
+            }
+            const fade = light.life / FACE_LIGHT_SOURCES.burstLife;
+            lights.push({ x: light.x, y: light.y, radius: light.radius, intensity: fade * fade, r: light.r, g: light.g, b: light.b });
+        }
         
-        // グラデーション描画
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, width, height);
+        lights.push(...this.getStarClusterLights(width, height));
         
-        // 追加の強化効果：中心部により強い光（控えめに）
-        if (intensity > 0.4) {
-            const coreGradient = ctx.createRadialGradient(
-                centerX, centerY, 0,
-                centerX, centerY, Math.min(width, height) * 0.15
-            );
-            
-            const coreIntensity = (intensity - 0.4) * 1.0; // 1.0に抑えて適度に
-            coreGradient.addColorStop(0, 
-                `rgba(${lightColor.r}, ${lightColor.g}, ${lightColor.b}, ${coreIntensity * 0.25})`
-            );
-            coreGradient.addColorStop(1, 
-                `rgba(${lightColor.r}, ${lightColor.g}, ${lightColor.b}, 0)`
-            );
+        lights.sort((a, b) => b.intensity - a.intensity);
+        lights.length = Math.min(lights.length, this.quality.faceLights);
+        return lights;
+    }
+    
+    getStarClusterLights(width, height) {
+        const cellSize = Math.min(width, height) * FACE_LIGHT_SOURCES.clusterCell;
+        const columns = Math.ceil(width / cellSize);
+        const depthBrightness = FireworksCore.DEPTH.brightness;
+        const cells = new Map();
+        
+        Object.keys(this.world.Star.active).forEach(color => {
+            if (color === FireworksCore.INVISIBLE) return;
+            const rgb = FireworksCore.parseRgbColor(color);
+            if (!rgb) return;
             
-            ctx.fillStyle = coreGradient;
-            ctx.fillRect(0, 0, width, height);
-        }
+            this.world.Star.active[color].forEach(star => {
+                if (star.x < 0 || star.x >= width || star.y < 0 || star.y >= height) return;
+                
+                const key = Math.floor(star.y / cellSize) * columns + Math.floor(star.x / cellSize);
+                let cell = cells.get(key);
+                if (!cell) {
+                    cell = { x: 0, y: 0, r: 0, g: 0, b: 0, weight: 0 };
+                    cells.set(key, cell);
+                }
+                
+                const weight = (star.life / star.fullLife) * FireworksCore.lerpDepth(depthBrightness, star.z);
+                cell.x += star.x * weight;
+                cell.y += star.y * weight;
+                cell.r += rgb.r * weight;
+                cell.g += rgb.g * weight;
+                cell.b += rgb.b * weight;
+                cell.weight += weight;
+            });
+        });
         
-        // 合成モードを元に戻す
-        ctx.globalCompositeOperation = 'source-over';
+        const lights = [];
+        cells.forEach(cell => {
+            if (cell.weight <= 0) return;
+            const color = this.getColorTemperature({ r: cell.r / cell.weight, g: cell.g / cell.weight, b: cell.b / cell.weight });
+            lights.push({
+                x: cell.x / cell.weight,
+                y: cell.y / cell.weight,
+                radius: cellSize * 1.5,
+                intensity: Math.min(1, cell.weight / FACE_LIGHT_SOURCES.clusterWeight),
+                r: color.r,
+                g: color.g,
+                b: color.b
+            });
+        });
+        return lights;
     }
 }
 
@@ -11,6 +11,7 @@ class Stage {
         
         this.ctx = this.canvas.getContext('2d');
         this.dpr = window.devicePixelRatio || 1;
+        this.maxDPR = Infinity; // 品質設定によるDPR上限（resize 時に反映）
         this.width = 0;
         this.height = 0;
         
@@ -112,7 +113,8 @@ class Stage {
         this.canvas.style.width = width + 'px';
         this.canvas.style.height = height + 'px';
         
-        // Canvas描画サイズ設定（HiDPI対応）
+        // Canvas描画サイズ設定（HiDPI対応、品質設定の上限あり）
+        this.dpr = Math.min(window.devicePixelRatio || 1, this.maxDPR);
         this.canvas.width = width * this.dpr;
         this.canvas.height = height * this.dpr;
         
@@ -125,24 +127,30 @@ class Stage {
     }
     
     // アニメーションティッカー（30FPS目標でパフォーマンス向上）
-    startTicker() {
-        let lastTime = 0;
-        const targetFPS = 30; // 60FPSから30FPSに変更
-        const targetFrameTime = 1000 / targetFPS;
+    // targetFPS: 描画レートの上限（省略時はディスプレイのリフレッシュレート）
+    startTicker(targetFPS) {
+        let lastTime = null; // 描画するかの判定の基準（目標間隔の端数を繰り越す）
+        let lastEmitTime = null; // 前回描画した時刻
+        const targetFrameTime = targetFPS ? 1000 / targetFPS : 0;
         
         const tick = (currentTime) => {
+            if (lastTime === null) {
+                lastTime = currentTime;
+                lastEmitTime = currentTime;
+            }
             const deltaTime = currentTime - lastTime;
             
-            if (deltaTime >= targetFrameTime) {
-                const lag = Math.min(deltaTime / 33.33, 3); // 30FPS基準に調整
-                
+            // requestAnimationFrame の揺らぎで同じレートのフレームを取りこぼさないよう1ms許容
+            if (deltaTime >= targetFrameTime - 1 && deltaTime > 0) {
+                // frameTime は実際の経過時間（繰り越した端数を二重に数えない）
                 this.emit('ticker', {
-                    frameTime: deltaTime,
-                    lag: lag,
+                    frameTime: currentTime - lastEmitTime,
                     currentTime: currentTime
                 });
+                lastEmitTime = currentTime;
                 
-                lastTime = currentTime - (deltaTime % targetFrameTime);
+                const remainder = targetFrameTime && deltaTime > targetFrameTime ? deltaTime % targetFrameTime : 0;
+                lastTime = currentTime - remainder;
             }
             
             this.rafId = requestAnimationFrame(tick);
@@ -0,0 +1,242 @@
+/**
+ * fireworks-core.js のテスト（node --test で実行）
+ * シード付きのワールドで、爆発の星の数・プールの再利用・寿命・clear を確認する
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FireworksCore = require('../js/fireworks-core.js');
+
+const { FireworksWorld, COLOR } = FireworksCore;
+
+// 尾や特殊エフェクトのない、星の数が決まったシェル
+function createPlainShell(world, options = {}) {
+    return world.createShell({
+        spreadSize: 400,
+        starLife: 1000,
+        starCount: 80,
+        color: COLOR.Red,
+        ...options
+    });
+}
+
+// 色別バケットに入っているアクティブなパーティクルの総数
+function countActive(system) {
+    return Object.values(system.active).reduce((total, particles) => total + particles.length, 0);
+}
+
+// ワールドを ms だけ進める（advance の1回の上限を超えないよう分割）
+function run(world, ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += 50) {
+        world.advance(50);
+    }
+}
+
+test('形状バーストの星の数は starCount * starCountScale', () => {
+    [1, 0.5, 0.25].forEach(starCountScale => {
+        const world = new FireworksWorld({ seed: 1, starCountScale });
+        createPlainShell(world, { shape: 'ring' }).burst(0, 0);
+
+        const expected = Math.round(80 * starCountScale);
+        assert.strictEqual(world.Star.count, expected);
+        assert.strictEqual(countActive(world.Star), expected);
+    });
+});
+
+test('球状バーストの星の数は starCount * starCountScale の近く（球面の配置で多少増減する）', () => {
+    [1, 0.5].forEach(starCountScale => {
+        const world = new FireworksWorld({ seed: 1, starCountScale });
+        createPlainShell(world).burst(0, 0);
+
+        const expected = 80 * starCountScale;
+        assert.ok(Math.abs(world.Star.count - expected) <= expected * 0.25, `${world.Star.count} stars for ${expected}`);
+    });
+});
+
+test('燃え尽きた星・火花はプールに戻り、count が 0 に戻る', () => {
+    const world = new FireworksWorld({ seed: 2 });
+    createPlainShell(world, { glitter: 'medium' }).burst(0, 0);
+    run(world, 300);
+
+    const stars = world.Star.count;
+    const sparks = world.Spark.count;
+    assert.ok(stars > 0 && sparks > 0);
+    assert.strictEqual(world.Star._pool.length, 0);
+
+    // 星の寿命と火花の寿命（sparkLife * (0.8 + sparkLifeVariation)）が過ぎるまで進める
+    run(world, 5000);
+
+    assert.strictEqual(world.Star.count, 0);
+    assert.strictEqual(world.Spark.count, 0);
+    assert.strictEqual(countActive(world.Star), 0);
+    assert.strictEqual(countActive(world.Spark), 0);
+    assert.strictEqual(world.Star._pool.length, stars);
+    assert.ok(world.Spark._pool.length >= sparks);
+
+    // 次の爆発はプールから再利用する
+    createPlainShell(world, { shape: 'ring' }).burst(0, 0);
+    assert.strictEqual(world.Star._pool.length, stars - 80);
+});
+
+test('fullLife を過ぎた星は取り除かれる', () => {
+    const world = new FireworksWorld({ seed: 3 });
+    createPlainShell(world, { starLifeVariation: 0.5 }).burst(0, 0);
+
+    const stars = Object.values(world.Star.active).flat();
+    const longest = Math.max(...stars.map(star => star.fullLife));
+    const shortest = Math.min(...stars.map(star => star.fullLife));
+    assert.ok(stars.every(star => star.life === star.fullLife));
+
+    // 最も短い寿命の少し前まではすべて残る
+    run(world, shortest - 50);
+    assert.strictEqual(world.Star.count, stars.length);
+
+    // 最も長い寿命を過ぎればすべて消える（固定ステップ1回分の余裕）
+    run(world, longest - shortest + 50 + world.stepTime);
+    assert.strictEqual(world.Star.count, 0);
+});
+
+test('多段割りの後続の段はシミュレーション時間で delay 後に offset の位置で開く', () => {
+    const world = new FireworksWorld({ seed: 8 });
+    createPlainShell(world, {
+        shape: 'ring',
+        breaks: [{ delay: 500, offset: { x: 100, y: -50 }, shell: { shape: 'ring', starCount: 20 } }]
+    }).burst(0, 0);
+    world.BurstFlash.active.length = 0;
+
+    // 進めなければ（一時停止中）開かない
+    assert.strictEqual(world.scheduled.length, 1);
+    run(world, 450);
+    assert.strictEqual(world.BurstFlash.active.length, 0);
+
+    run(world, 100);
+    assert.strictEqual(world.scheduled.length, 0);
+    assert.strictEqual(world.BurstFlash.active.length, 1);
+    assert.strictEqual(world.BurstFlash.active[0].x, 100);
+    assert.strictEqual(world.BurstFlash.active[0].y, -50);
+});
+
+test('clear() はすべてのパーティクルと予定を取り除く', () => {
+    const world = new FireworksWorld({ seed: 4 });
+    world.createShell(FireworksCore.shellTypes.ringPeonies(2, world)).burst(0, 0);
+    world.createShell(FireworksCore.shellTypes.crysanthemum(2, world)).launch(0, 500, 0, 100);
+    run(world, 200);
+
+    assert.ok(world.Star.count > 0);
+    assert.ok(world.Spark.count > 0);
+    assert.ok(world.BurstFlash.active.length > 0);
+    assert.ok(world.Smoke.active.length > 0);
+    assert.ok(world.scheduled.length > 0);
+
+    world.clear();
+
+    assert.strictEqual(world.Star.count, 0);
+    assert.strictEqual(world.Spark.count, 0);
+    assert.strictEqual(countActive(world.Star), 0);
+    assert.strictEqual(countActive(world.Spark), 0);
+    assert.strictEqual(world.BurstFlash.active.length, 0);
+    assert.strictEqual(world.Smoke.active.length, 0);
+    assert.strictEqual(world.scheduled.length, 0);
+
+    // 打ち上げ中だったコメットも、予定されていた多段割りも発生しない
+    run(world, 2000);
+    assert.strictEqual(world.Star.count, 0);
+});
+
+test('schedule の処理が例外を出しても、他の予定とシミュレーションは続く', () => {
+    const world = new FireworksWorld({ seed: 5 });
+    const calls = [];
+    world.schedule(10, () => calls.push('before'));
+    world.schedule(20, () => {
+        throw new Error('broken launch');
+    });
+    world.schedule(30, () => createPlainShell(world, { shape: 'ring' }).burst(0, 0));
+
+    const consoleError = console.error;
+    const errors = [];
+    console.error = (...args) => errors.push(args);
+    try {
+        assert.doesNotThrow(() => run(world, 100));
+    } finally {
+        console.error = consoleError;
+    }
+
+    assert.deepStrictEqual(calls, ['before']);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(world.Star.count, 80);
+    assert.strictEqual(world.scheduled.length, 0);
+});
+
+test('未知の死亡時エフェクト名・形状名・多段割りの種類名はシェル作成時に例外', () => {
+    const world = new FireworksWorld({ seed: 6 });
+    assert.throws(() => createPlainShell(world, { effects: ['crosette'] }), /Unknown death effect: crosette/);
+    assert.throws(() => createPlainShell(world, { effects: [['crossette', 'crakle']] }), /Unknown death effect: crakle/);
+    assert.throws(() => createPlainShell(world, { shape: 'hart' }), /Unknown shape: hart/);
+    assert.throws(() => createPlainShell(world, { breaks: [{ type: 'peny' }] }), /Unknown break shell type: peny/);
+    assert.doesNotThrow(() => createPlainShell(world, { effects: ['crossette', ['floral', 'crackle']] }));
+});
+
+test('ピストルの内側の爆発は煙・フラッシュを重ねて出さない', () => {
+    const puffsFor = pistil => {
+        const world = new FireworksWorld({ seed: 7 });
+        createPlainShell(world, { pistil, pistilColor: COLOR.Gold }).burst(0, 0);
+        return { smoke: world.Smoke.active.length, flashes: world.BurstFlash.active.length };
+    };
+
+    assert.deepStrictEqual(puffsFor(true), puffsFor(false));
+    assert.strictEqual(puffsFor(true).flashes, 1);
+});
+
+test('同じシードなら同じ花火、違うシードなら違う花火になる', () => {
+    // 乱数に依存するプリセット（色・グリッター・クロセット）を同じ手順で打ち上げて進める
+    const simulate = seed => {
+        const world = new FireworksWorld({ seed });
+        world.createShell(FireworksCore.shellTypes.crysanthemum(2, world)).burst(200, 200);
+        world.createShell(FireworksCore.shellTypes.crossette(1, world)).launch(400, 600, 420, 250);
+        run(world, 1500);
+
+        const stars = Object.values(world.Star.active).flat();
+        return {
+            stars: world.Star.count,
+            sparks: world.Spark.count,
+            positions: stars.map(star => [star.color, star.x, star.y])
+        };
+    };
+
+    const first = simulate(42);
+    assert.ok(first.stars > 0);
+    assert.deepStrictEqual(simulate(42), first);
+    assert.notDeepStrictEqual(simulate(43), first);
+});
+
+test('setLimits の 0 は星を出さない上限、null・省略は無制限', () => {
+    const world = new FireworksWorld({ seed: 9 });
+    world.setLimits({ maxStars: 0 });
+    assert.strictEqual(world.Star.limit, 0);
+    createPlainShell(world, { shape: 'ring' }).burst(0, 0);
+    assert.strictEqual(world.Star.count, 0);
+
+    world.setLimits({ maxStars: null });
+    assert.strictEqual(world.Star.limit, Infinity);
+    assert.strictEqual(world.Spark.limit, Infinity);
+    createPlainShell(world, { shape: 'ring' }).burst(0, 0);
+    assert.strictEqual(world.Star.count, 80);
+});
+
+test('打ち上げは空気抵抗があっても launchDuration 後に目標点で開く', () => {
+    [900, 2000].forEach(launchDuration => {
+        const world = new FireworksWorld({ seed: 10 });
+        const shell = createPlainShell(world, { launchDuration });
+        let burst = null;
+        shell.burst = (x, y) => {
+            burst = { time: world.time, x, y };
+        };
+        shell.launch(100, 800, 300, 300);
+        run(world, launchDuration + 200);
+
+        // 目標点を越えたことは次のステップで判定される
+        assert.ok(burst, `no burst for ${launchDuration}ms`);
+        assert.ok(Math.abs(burst.time - launchDuration) <= 2 * world.stepTime, `${burst.time}ms for ${launchDuration}ms`);
+        assert.ok(Math.abs(burst.x - 300) < 2 && Math.abs(burst.y - 300) < 2, `burst at ${burst.x}, ${burst.y}`);
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * performance-governor.js のテスト（node --test で実行）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PerformanceGovernor } = require('../js/performance-governor.js');
+
+const BUDGET = 1000 / 30;
+
+// 同じフレーム時間・処理時間のフレームを count 回記録し、段階が変わった回数を返す
+function sampleFrames(governor, count, frameTime, workTime) {
+    let changes = 0;
+    for (let i = 0; i < count; i++) {
+        if (governor.sample(frameTime, workTime)) changes++;
+    }
+    return changes;
+}
+
+test('予算超過が続くと段階を上げ、余裕が続くと戻す', () => {
+    const governor = new PerformanceGovernor({ budget: BUDGET });
+
+    sampleFrames(governor, 120, BUDGET * 2, BUDGET * 2);
+    assert.ok(governor.step > 0);
+
+    const step = governor.step;
+    sampleFrames(governor, 300, BUDGET, BUDGET * 0.2);
+    assert.ok(governor.step < step);
+});
+
+test('一時停止から復帰した直後の長いフレームでは段階を上げない', () => {
+    const governor = new PerformanceGovernor({ budget: BUDGET });
+    sampleFrames(governor, 90, BUDGET, BUDGET * 0.6);
+    assert.strictEqual(governor.step, 0);
+
+    // タブを10秒隠していた：復帰後の最初のフレームに停止中の時間が乗る
+    [1, 2, 3].forEach(() => {
+        governor.resetTiming();
+        assert.strictEqual(governor.sample(10000, BUDGET * 0.6), false);
+        sampleFrames(governor, 60, BUDGET, BUDGET * 0.6);
+    });
+    assert.strictEqual(governor.step, 0);
+    assert.strictEqual(governor.stepName, 'full');
+});